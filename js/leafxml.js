@@ -54,6 +54,538 @@ window.LeafXML = (function() {
     BASE64_LOOKUP[BASE64_DIGITS[i].charCodeAt(0) - 0x21] = i;
   }
   
+  /*
+   * The number of bytes that the parser decodes at a time when it is
+   * reading from a whole binary buffer.
+   */
+  const BINARY_CHUNK_SIZE = 65536;
+  
+  /*
+   * The default resource limits of the parser.  These can be changed
+   * with the limits option of the Parser constructor.
+   * 
+   * maxDepth is the maximum nesting depth of elements.  maxAttributes
+   * is the maximum number of attributes on a single element, including
+   * namespace mappings.  maxAttributeLength is the maximum length of an
+   * attribute value.  maxTextLength is the maximum length of a content
+   * text event.  maxNamespaces is the maximum number of namespace
+   * mappings on a single element.  maxPendingLength is the maximum
+   * length of an incomplete markup token that is held back in push
+   * mode while waiting for more input.  maxTokens is the maximum number
+   * of tokens in the whole XML file, which is not limited by default so
+   * that very large files can be parsed.
+   * 
+   * Lengths are measured in UTF-16 code units.
+   * 
+   * Exceeding a limit always throws a ParserFault with the code
+   * "LIMIT_EXCEEDED", even in recovery mode.
+   */
+  const DEFAULT_LIMITS = {
+    "maxDepth"          : 256,
+    "maxAttributes"     : 256,
+    "maxAttributeLength": 65536,
+    "maxTextLength"     : 16777216,
+    "maxNamespaces"     : 64,
+    "maxPendingLength"  : 16777216,
+    "maxTokens"         : Infinity
+  };
+  
+  /*
+   * The key of the internal Parser option that selects exact mode.
+   * 
+   * This is a symbol that is never exported, so the option can only be
+   * given by code within this module, and it does not appear among the
+   * documented options of the Parser constructor.  canonicalize() uses
+   * it to read attribute values and text as XML itself defines them.
+   */
+  const EXACT_MODE = Symbol("exact");
+  
+  /*
+   * The HTML5 named character references, in a packed form that is
+   * unpacked by html5Entities() the first time it is needed.
+   * 
+   * Each entry is the entity name, a colon, and then a comma-separated
+   * list of one or more codepoints in base-16.  Entries are separated
+   * by spaces.  Only the forms that end with a semicolon are included,
+   * and the five entities predefined by XML are left out.
+   */
+  const HTML5_ENTITIES =
+    "AElig:c6 AMP:26 Aacute:c1 Abreve:102 Acirc:c2 Acy:410 Afr:1d504 " +
+    "Agrave:c0 Alpha:391 Amacr:100 And:2a53 Aogon:104 Aopf:1d538 " +
+    "ApplyFunction:2061 Aring:c5 Ascr:1d49c Assign:2254 Atilde:c3 " +
+    "Auml:c4 Backslash:2216 Barv:2ae7 Barwed:2306 Bcy:411 " +
+    "Because:2235 Bernoullis:212c Beta:392 Bfr:1d505 Bopf:1d539 " +
+    "Breve:2d8 Bscr:212c Bumpeq:224e CHcy:427 COPY:a9 Cacute:106 " +
+    "Cap:22d2 CapitalDifferentialD:2145 Cayleys:212d Ccaron:10c " +
+    "Ccedil:c7 Ccirc:108 Cconint:2230 Cdot:10a Cedilla:b8 " +
+    "CenterDot:b7 Cfr:212d Chi:3a7 CircleDot:2299 CircleMinus:2296 " +
+    "CirclePlus:2295 CircleTimes:2297 ClockwiseContourIntegral:2232 " +
+    "CloseCurlyDoubleQuote:201d CloseCurlyQuote:2019 Colon:2237 " +
+    "Colone:2a74 Congruent:2261 Conint:222f ContourIntegral:222e " +
+    "Copf:2102 Coproduct:2210 CounterClockwiseContourIntegral:2233 " +
+    "Cross:2a2f Cscr:1d49e Cup:22d3 CupCap:224d DD:2145 " +
+    "DDotrahd:2911 DJcy:402 DScy:405 DZcy:40f Dagger:2021 Darr:21a1 " +
+    "Dashv:2ae4 Dcaron:10e Dcy:414 Del:2207 Delta:394 Dfr:1d507 " +
+    "DiacriticalAcute:b4 DiacriticalDot:2d9 " +
+    "DiacriticalDoubleAcute:2dd DiacriticalGrave:60 " +
+    "DiacriticalTilde:2dc Diamond:22c4 DifferentialD:2146 Dopf:1d53b " +
+    "Dot:a8 DotDot:20dc DotEqual:2250 DoubleContourIntegral:222f " +
+    "DoubleDot:a8 DoubleDownArrow:21d3 DoubleLeftArrow:21d0 " +
+    "DoubleLeftRightArrow:21d4 DoubleLeftTee:2ae4 " +
+    "DoubleLongLeftArrow:27f8 DoubleLongLeftRightArrow:27fa " +
+    "DoubleLongRightArrow:27f9 DoubleRightArrow:21d2 " +
+    "DoubleRightTee:22a8 DoubleUpArrow:21d1 DoubleUpDownArrow:21d5 " +
+    "DoubleVerticalBar:2225 DownArrow:2193 DownArrowBar:2913 " +
+    "DownArrowUpArrow:21f5 DownBreve:311 DownLeftRightVector:2950 " +
+    "DownLeftTeeVector:295e DownLeftVector:21bd " +
+    "DownLeftVectorBar:2956 DownRightTeeVector:295f " +
+    "DownRightVector:21c1 DownRightVectorBar:2957 DownTee:22a4 " +
+    "DownTeeArrow:21a7 Downarrow:21d3 Dscr:1d49f Dstrok:110 ENG:14a " +
+    "ETH:d0 Eacute:c9 Ecaron:11a Ecirc:ca Ecy:42d Edot:116 Efr:1d508 " +
+    "Egrave:c8 Element:2208 Emacr:112 EmptySmallSquare:25fb " +
+    "EmptyVerySmallSquare:25ab Eogon:118 Eopf:1d53c Epsilon:395 " +
+    "Equal:2a75 EqualTilde:2242 Equilibrium:21cc Escr:2130 Esim:2a73 " +
+    "Eta:397 Euml:cb Exists:2203 ExponentialE:2147 Fcy:424 Ffr:1d509 " +
+    "FilledSmallSquare:25fc FilledVerySmallSquare:25aa Fopf:1d53d " +
+    "ForAll:2200 Fouriertrf:2131 Fscr:2131 GJcy:403 GT:3e Gamma:393 " +
+    "Gammad:3dc Gbreve:11e Gcedil:122 Gcirc:11c Gcy:413 Gdot:120 " +
+    "Gfr:1d50a Gg:22d9 Gopf:1d53e GreaterEqual:2265 " +
+    "GreaterEqualLess:22db GreaterFullEqual:2267 GreaterGreater:2aa2 " +
+    "GreaterLess:2277 GreaterSlantEqual:2a7e GreaterTilde:2273 " +
+    "Gscr:1d4a2 Gt:226b HARDcy:42a Hacek:2c7 Hat:5e Hcirc:124 " +
+    "Hfr:210c HilbertSpace:210b Hopf:210d HorizontalLine:2500 " +
+    "Hscr:210b Hstrok:126 HumpDownHump:224e HumpEqual:224f IEcy:415 " +
+    "IJlig:132 IOcy:401 Iacute:cd Icirc:ce Icy:418 Idot:130 Ifr:2111 " +
+    "Igrave:cc Im:2111 Imacr:12a ImaginaryI:2148 Implies:21d2 " +
+    "Int:222c Integral:222b Intersection:22c2 InvisibleComma:2063 " +
+    "InvisibleTimes:2062 Iogon:12e Iopf:1d540 Iota:399 Iscr:2110 " +
+    "Itilde:128 Iukcy:406 Iuml:cf Jcirc:134 Jcy:419 Jfr:1d50d " +
+    "Jopf:1d541 Jscr:1d4a5 Jsercy:408 Jukcy:404 KHcy:425 KJcy:40c " +
+    "Kappa:39a Kcedil:136 Kcy:41a Kfr:1d50e Kopf:1d542 Kscr:1d4a6 " +
+    "LJcy:409 LT:3c Lacute:139 Lambda:39b Lang:27ea Laplacetrf:2112 " +
+    "Larr:219e Lcaron:13d Lcedil:13b Lcy:41b LeftAngleBracket:27e8 " +
+    "LeftArrow:2190 LeftArrowBar:21e4 LeftArrowRightArrow:21c6 " +
+    "LeftCeiling:2308 LeftDoubleBracket:27e6 LeftDownTeeVector:2961 " +
+    "LeftDownVector:21c3 LeftDownVectorBar:2959 LeftFloor:230a " +
+    "LeftRightArrow:2194 LeftRightVector:294e LeftTee:22a3 " +
+    "LeftTeeArrow:21a4 LeftTeeVector:295a LeftTriangle:22b2 " +
+    "LeftTriangleBar:29cf LeftTriangleEqual:22b4 " +
+    "LeftUpDownVector:2951 LeftUpTeeVector:2960 LeftUpVector:21bf " +
+    "LeftUpVectorBar:2958 LeftVector:21bc LeftVectorBar:2952 " +
+    "Leftarrow:21d0 Leftrightarrow:21d4 LessEqualGreater:22da " +
+    "LessFullEqual:2266 LessGreater:2276 LessLess:2aa1 " +
+    "LessSlantEqual:2a7d LessTilde:2272 Lfr:1d50f Ll:22d8 " +
+    "Lleftarrow:21da Lmidot:13f LongLeftArrow:27f5 " +
+    "LongLeftRightArrow:27f7 LongRightArrow:27f6 Longleftarrow:27f8 " +
+    "Longleftrightarrow:27fa Longrightarrow:27f9 Lopf:1d543 " +
+    "LowerLeftArrow:2199 LowerRightArrow:2198 Lscr:2112 Lsh:21b0 " +
+    "Lstrok:141 Lt:226a Map:2905 Mcy:41c MediumSpace:205f " +
+    "Mellintrf:2133 Mfr:1d510 MinusPlus:2213 Mopf:1d544 Mscr:2133 " +
+    "Mu:39c NJcy:40a Nacute:143 Ncaron:147 Ncedil:145 Ncy:41d " +
+    "NegativeMediumSpace:200b NegativeThickSpace:200b " +
+    "NegativeThinSpace:200b NegativeVeryThinSpace:200b " +
+    "NestedGreaterGreater:226b NestedLessLess:226a NewLine:a " +
+    "Nfr:1d511 NoBreak:2060 NonBreakingSpace:a0 Nopf:2115 Not:2aec " +
+    "NotCongruent:2262 NotCupCap:226d NotDoubleVerticalBar:2226 " +
+    "NotElement:2209 NotEqual:2260 NotEqualTilde:2242,338 " +
+    "NotExists:2204 NotGreater:226f NotGreaterEqual:2271 " +
+    "NotGreaterFullEqual:2267,338 NotGreaterGreater:226b,338 " +
+    "NotGreaterLess:2279 NotGreaterSlantEqual:2a7e,338 " +
+    "NotGreaterTilde:2275 NotHumpDownHump:224e,338 " +
+    "NotHumpEqual:224f,338 NotLeftTriangle:22ea " +
+    "NotLeftTriangleBar:29cf,338 NotLeftTriangleEqual:22ec " +
+    "NotLess:226e NotLessEqual:2270 NotLessGreater:2278 " +
+    "NotLessLess:226a,338 NotLessSlantEqual:2a7d,338 " +
+    "NotLessTilde:2274 NotNestedGreaterGreater:2aa2,338 " +
+    "NotNestedLessLess:2aa1,338 NotPrecedes:2280 " +
+    "NotPrecedesEqual:2aaf,338 NotPrecedesSlantEqual:22e0 " +
+    "NotReverseElement:220c NotRightTriangle:22eb " +
+    "NotRightTriangleBar:29d0,338 NotRightTriangleEqual:22ed " +
+    "NotSquareSubset:228f,338 NotSquareSubsetEqual:22e2 " +
+    "NotSquareSuperset:2290,338 NotSquareSupersetEqual:22e3 " +
+    "NotSubset:2282,20d2 NotSubsetEqual:2288 NotSucceeds:2281 " +
+    "NotSucceedsEqual:2ab0,338 NotSucceedsSlantEqual:22e1 " +
+    "NotSucceedsTilde:227f,338 NotSuperset:2283,20d2 " +
+    "NotSupersetEqual:2289 NotTilde:2241 NotTildeEqual:2244 " +
+    "NotTildeFullEqual:2247 NotTildeTilde:2249 NotVerticalBar:2224 " +
+    "Nscr:1d4a9 Ntilde:d1 Nu:39d OElig:152 Oacute:d3 Ocirc:d4 " +
+    "Ocy:41e Odblac:150 Ofr:1d512 Ograve:d2 Omacr:14c Omega:3a9 " +
+    "Omicron:39f Oopf:1d546 OpenCurlyDoubleQuote:201c " +
+    "OpenCurlyQuote:2018 Or:2a54 Oscr:1d4aa Oslash:d8 Otilde:d5 " +
+    "Otimes:2a37 Ouml:d6 OverBar:203e OverBrace:23de " +
+    "OverBracket:23b4 OverParenthesis:23dc PartialD:2202 Pcy:41f " +
+    "Pfr:1d513 Phi:3a6 Pi:3a0 PlusMinus:b1 Poincareplane:210c " +
+    "Popf:2119 Pr:2abb Precedes:227a PrecedesEqual:2aaf " +
+    "PrecedesSlantEqual:227c PrecedesTilde:227e Prime:2033 " +
+    "Product:220f Proportion:2237 Proportional:221d Pscr:1d4ab " +
+    "Psi:3a8 QUOT:22 Qfr:1d514 Qopf:211a Qscr:1d4ac RBarr:2910 " +
+    "REG:ae Racute:154 Rang:27eb Rarr:21a0 Rarrtl:2916 Rcaron:158 " +
+    "Rcedil:156 Rcy:420 Re:211c ReverseElement:220b " +
+    "ReverseEquilibrium:21cb ReverseUpEquilibrium:296f Rfr:211c " +
+    "Rho:3a1 RightAngleBracket:27e9 RightArrow:2192 " +
+    "RightArrowBar:21e5 RightArrowLeftArrow:21c4 RightCeiling:2309 " +
+    "RightDoubleBracket:27e7 RightDownTeeVector:295d " +
+    "RightDownVector:21c2 RightDownVectorBar:2955 RightFloor:230b " +
+    "RightTee:22a2 RightTeeArrow:21a6 RightTeeVector:295b " +
+    "RightTriangle:22b3 RightTriangleBar:29d0 " +
+    "RightTriangleEqual:22b5 RightUpDownVector:294f " +
+    "RightUpTeeVector:295c RightUpVector:21be RightUpVectorBar:2954 " +
+    "RightVector:21c0 RightVectorBar:2953 Rightarrow:21d2 Ropf:211d " +
+    "RoundImplies:2970 Rrightarrow:21db Rscr:211b Rsh:21b1 " +
+    "RuleDelayed:29f4 SHCHcy:429 SHcy:428 SOFTcy:42c Sacute:15a " +
+    "Sc:2abc Scaron:160 Scedil:15e Scirc:15c Scy:421 Sfr:1d516 " +
+    "ShortDownArrow:2193 ShortLeftArrow:2190 ShortRightArrow:2192 " +
+    "ShortUpArrow:2191 Sigma:3a3 SmallCircle:2218 Sopf:1d54a " +
+    "Sqrt:221a Square:25a1 SquareIntersection:2293 SquareSubset:228f " +
+    "SquareSubsetEqual:2291 SquareSuperset:2290 " +
+    "SquareSupersetEqual:2292 SquareUnion:2294 Sscr:1d4ae Star:22c6 " +
+    "Sub:22d0 Subset:22d0 SubsetEqual:2286 Succeeds:227b " +
+    "SucceedsEqual:2ab0 SucceedsSlantEqual:227d SucceedsTilde:227f " +
+    "SuchThat:220b Sum:2211 Sup:22d1 Superset:2283 " +
+    "SupersetEqual:2287 Supset:22d1 THORN:de TRADE:2122 TSHcy:40b " +
+    "TScy:426 Tab:9 Tau:3a4 Tcaron:164 Tcedil:162 Tcy:422 Tfr:1d517 " +
+    "Therefore:2234 Theta:398 ThickSpace:205f,200a ThinSpace:2009 " +
+    "Tilde:223c TildeEqual:2243 TildeFullEqual:2245 TildeTilde:2248 " +
+    "Topf:1d54b TripleDot:20db Tscr:1d4af Tstrok:166 Uacute:da " +
+    "Uarr:219f Uarrocir:2949 Ubrcy:40e Ubreve:16c Ucirc:db Ucy:423 " +
+    "Udblac:170 Ufr:1d518 Ugrave:d9 Umacr:16a UnderBar:5f " +
+    "UnderBrace:23df UnderBracket:23b5 UnderParenthesis:23dd " +
+    "Union:22c3 UnionPlus:228e Uogon:172 Uopf:1d54c UpArrow:2191 " +
+    "UpArrowBar:2912 UpArrowDownArrow:21c5 UpDownArrow:2195 " +
+    "UpEquilibrium:296e UpTee:22a5 UpTeeArrow:21a5 Uparrow:21d1 " +
+    "Updownarrow:21d5 UpperLeftArrow:2196 UpperRightArrow:2197 " +
+    "Upsi:3d2 Upsilon:3a5 Uring:16e Uscr:1d4b0 Utilde:168 Uuml:dc " +
+    "VDash:22ab Vbar:2aeb Vcy:412 Vdash:22a9 Vdashl:2ae6 Vee:22c1 " +
+    "Verbar:2016 Vert:2016 VerticalBar:2223 VerticalLine:7c " +
+    "VerticalSeparator:2758 VerticalTilde:2240 VeryThinSpace:200a " +
+    "Vfr:1d519 Vopf:1d54d Vscr:1d4b1 Vvdash:22aa Wcirc:174 " +
+    "Wedge:22c0 Wfr:1d51a Wopf:1d54e Wscr:1d4b2 Xfr:1d51b Xi:39e " +
+    "Xopf:1d54f Xscr:1d4b3 YAcy:42f YIcy:407 YUcy:42e Yacute:dd " +
+    "Ycirc:176 Ycy:42b Yfr:1d51c Yopf:1d550 Yscr:1d4b4 Yuml:178 " +
+    "ZHcy:416 Zacute:179 Zcaron:17d Zcy:417 Zdot:17b " +
+    "ZeroWidthSpace:200b Zeta:396 Zfr:2128 Zopf:2124 Zscr:1d4b5 " +
+    "aacute:e1 abreve:103 ac:223e acE:223e,333 acd:223f acirc:e2 " +
+    "acute:b4 acy:430 aelig:e6 af:2061 afr:1d51e agrave:e0 " +
+    "alefsym:2135 aleph:2135 alpha:3b1 amacr:101 amalg:2a3f and:2227 " +
+    "andand:2a55 andd:2a5c andslope:2a58 andv:2a5a ang:2220 " +
+    "ange:29a4 angle:2220 angmsd:2221 angmsdaa:29a8 angmsdab:29a9 " +
+    "angmsdac:29aa angmsdad:29ab angmsdae:29ac angmsdaf:29ad " +
+    "angmsdag:29ae angmsdah:29af angrt:221f angrtvb:22be " +
+    "angrtvbd:299d angsph:2222 angst:c5 angzarr:237c aogon:105 " +
+    "aopf:1d552 ap:2248 apE:2a70 apacir:2a6f ape:224a apid:224b " +
+    "approx:2248 approxeq:224a aring:e5 ascr:1d4b6 ast:2a asymp:2248 " +
+    "asympeq:224d atilde:e3 auml:e4 awconint:2233 awint:2a11 " +
+    "bNot:2aed backcong:224c backepsilon:3f6 backprime:2035 " +
+    "backsim:223d backsimeq:22cd barvee:22bd barwed:2305 " +
+    "barwedge:2305 bbrk:23b5 bbrktbrk:23b6 bcong:224c bcy:431 " +
+    "bdquo:201e becaus:2235 because:2235 bemptyv:29b0 bepsi:3f6 " +
+    "bernou:212c beta:3b2 beth:2136 between:226c bfr:1d51f " +
+    "bigcap:22c2 bigcirc:25ef bigcup:22c3 bigodot:2a00 bigoplus:2a01 " +
+    "bigotimes:2a02 bigsqcup:2a06 bigstar:2605 bigtriangledown:25bd " +
+    "bigtriangleup:25b3 biguplus:2a04 bigvee:22c1 bigwedge:22c0 " +
+    "bkarow:290d blacklozenge:29eb blacksquare:25aa " +
+    "blacktriangle:25b4 blacktriangledown:25be " +
+    "blacktriangleleft:25c2 blacktriangleright:25b8 blank:2423 " +
+    "blk12:2592 blk14:2591 blk34:2593 block:2588 bne:3d,20e5 " +
+    "bnequiv:2261,20e5 bnot:2310 bopf:1d553 bot:22a5 bottom:22a5 " +
+    "bowtie:22c8 boxDL:2557 boxDR:2554 boxDl:2556 boxDr:2553 " +
+    "boxH:2550 boxHD:2566 boxHU:2569 boxHd:2564 boxHu:2567 " +
+    "boxUL:255d boxUR:255a boxUl:255c boxUr:2559 boxV:2551 " +
+    "boxVH:256c boxVL:2563 boxVR:2560 boxVh:256b boxVl:2562 " +
+    "boxVr:255f boxbox:29c9 boxdL:2555 boxdR:2552 boxdl:2510 " +
+    "boxdr:250c boxh:2500 boxhD:2565 boxhU:2568 boxhd:252c " +
+    "boxhu:2534 boxminus:229f boxplus:229e boxtimes:22a0 boxuL:255b " +
+    "boxuR:2558 boxul:2518 boxur:2514 boxv:2502 boxvH:256a " +
+    "boxvL:2561 boxvR:255e boxvh:253c boxvl:2524 boxvr:251c " +
+    "bprime:2035 breve:2d8 brvbar:a6 bscr:1d4b7 bsemi:204f bsim:223d " +
+    "bsime:22cd bsol:5c bsolb:29c5 bsolhsub:27c8 bull:2022 " +
+    "bullet:2022 bump:224e bumpE:2aae bumpe:224f bumpeq:224f " +
+    "cacute:107 cap:2229 capand:2a44 capbrcup:2a49 capcap:2a4b " +
+    "capcup:2a47 capdot:2a40 caps:2229,fe00 caret:2041 caron:2c7 " +
+    "ccaps:2a4d ccaron:10d ccedil:e7 ccirc:109 ccups:2a4c " +
+    "ccupssm:2a50 cdot:10b cedil:b8 cemptyv:29b2 cent:a2 " +
+    "centerdot:b7 cfr:1d520 chcy:447 check:2713 checkmark:2713 " +
+    "chi:3c7 cir:25cb cirE:29c3 circ:2c6 circeq:2257 " +
+    "circlearrowleft:21ba circlearrowright:21bb circledR:ae " +
+    "circledS:24c8 circledast:229b circledcirc:229a circleddash:229d " +
+    "cire:2257 cirfnint:2a10 cirmid:2aef cirscir:29c2 clubs:2663 " +
+    "clubsuit:2663 colon:3a colone:2254 coloneq:2254 comma:2c " +
+    "commat:40 comp:2201 compfn:2218 complement:2201 complexes:2102 " +
+    "cong:2245 congdot:2a6d conint:222e copf:1d554 coprod:2210 " +
+    "copy:a9 copysr:2117 crarr:21b5 cross:2717 cscr:1d4b8 csub:2acf " +
+    "csube:2ad1 csup:2ad0 csupe:2ad2 ctdot:22ef cudarrl:2938 " +
+    "cudarrr:2935 cuepr:22de cuesc:22df cularr:21b6 cularrp:293d " +
+    "cup:222a cupbrcap:2a48 cupcap:2a46 cupcup:2a4a cupdot:228d " +
+    "cupor:2a45 cups:222a,fe00 curarr:21b7 curarrm:293c " +
+    "curlyeqprec:22de curlyeqsucc:22df curlyvee:22ce curlywedge:22cf " +
+    "curren:a4 curvearrowleft:21b6 curvearrowright:21b7 cuvee:22ce " +
+    "cuwed:22cf cwconint:2232 cwint:2231 cylcty:232d dArr:21d3 " +
+    "dHar:2965 dagger:2020 daleth:2138 darr:2193 dash:2010 " +
+    "dashv:22a3 dbkarow:290f dblac:2dd dcaron:10f dcy:434 dd:2146 " +
+    "ddagger:2021 ddarr:21ca ddotseq:2a77 deg:b0 delta:3b4 " +
+    "demptyv:29b1 dfisht:297f dfr:1d521 dharl:21c3 dharr:21c2 " +
+    "diam:22c4 diamond:22c4 diamondsuit:2666 diams:2666 die:a8 " +
+    "digamma:3dd disin:22f2 div:f7 divide:f7 divideontimes:22c7 " +
+    "divonx:22c7 djcy:452 dlcorn:231e dlcrop:230d dollar:24 " +
+    "dopf:1d555 dot:2d9 doteq:2250 doteqdot:2251 dotminus:2238 " +
+    "dotplus:2214 dotsquare:22a1 doublebarwedge:2306 downarrow:2193 " +
+    "downdownarrows:21ca downharpoonleft:21c3 downharpoonright:21c2 " +
+    "drbkarow:2910 drcorn:231f drcrop:230c dscr:1d4b9 dscy:455 " +
+    "dsol:29f6 dstrok:111 dtdot:22f1 dtri:25bf dtrif:25be duarr:21f5 " +
+    "duhar:296f dwangle:29a6 dzcy:45f dzigrarr:27ff eDDot:2a77 " +
+    "eDot:2251 eacute:e9 easter:2a6e ecaron:11b ecir:2256 ecirc:ea " +
+    "ecolon:2255 ecy:44d edot:117 ee:2147 efDot:2252 efr:1d522 " +
+    "eg:2a9a egrave:e8 egs:2a96 egsdot:2a98 el:2a99 elinters:23e7 " +
+    "ell:2113 els:2a95 elsdot:2a97 emacr:113 empty:2205 " +
+    "emptyset:2205 emptyv:2205 emsp:2003 emsp13:2004 emsp14:2005 " +
+    "eng:14b ensp:2002 eogon:119 eopf:1d556 epar:22d5 eparsl:29e3 " +
+    "eplus:2a71 epsi:3b5 epsilon:3b5 epsiv:3f5 eqcirc:2256 " +
+    "eqcolon:2255 eqsim:2242 eqslantgtr:2a96 eqslantless:2a95 " +
+    "equals:3d equest:225f equiv:2261 equivDD:2a78 eqvparsl:29e5 " +
+    "erDot:2253 erarr:2971 escr:212f esdot:2250 esim:2242 eta:3b7 " +
+    "eth:f0 euml:eb euro:20ac excl:21 exist:2203 expectation:2130 " +
+    "exponentiale:2147 fallingdotseq:2252 fcy:444 female:2640 " +
+    "ffilig:fb03 fflig:fb00 ffllig:fb04 ffr:1d523 filig:fb01 " +
+    "fjlig:66,6a flat:266d fllig:fb02 fltns:25b1 fnof:192 fopf:1d557 " +
+    "forall:2200 fork:22d4 forkv:2ad9 fpartint:2a0d frac12:bd " +
+    "frac13:2153 frac14:bc frac15:2155 frac16:2159 frac18:215b " +
+    "frac23:2154 frac25:2156 frac34:be frac35:2157 frac38:215c " +
+    "frac45:2158 frac56:215a frac58:215d frac78:215e frasl:2044 " +
+    "frown:2322 fscr:1d4bb gE:2267 gEl:2a8c gacute:1f5 gamma:3b3 " +
+    "gammad:3dd gap:2a86 gbreve:11f gcirc:11d gcy:433 gdot:121 " +
+    "ge:2265 gel:22db geq:2265 geqq:2267 geqslant:2a7e ges:2a7e " +
+    "gescc:2aa9 gesdot:2a80 gesdoto:2a82 gesdotol:2a84 " +
+    "gesl:22db,fe00 gesles:2a94 gfr:1d524 gg:226b ggg:22d9 " +
+    "gimel:2137 gjcy:453 gl:2277 glE:2a92 gla:2aa5 glj:2aa4 gnE:2269 " +
+    "gnap:2a8a gnapprox:2a8a gne:2a88 gneq:2a88 gneqq:2269 " +
+    "gnsim:22e7 gopf:1d558 grave:60 gscr:210a gsim:2273 gsime:2a8e " +
+    "gsiml:2a90 gtcc:2aa7 gtcir:2a7a gtdot:22d7 gtlPar:2995 " +
+    "gtquest:2a7c gtrapprox:2a86 gtrarr:2978 gtrdot:22d7 " +
+    "gtreqless:22db gtreqqless:2a8c gtrless:2277 gtrsim:2273 " +
+    "gvertneqq:2269,fe00 gvnE:2269,fe00 hArr:21d4 hairsp:200a " +
+    "half:bd hamilt:210b hardcy:44a harr:2194 harrcir:2948 " +
+    "harrw:21ad hbar:210f hcirc:125 hearts:2665 heartsuit:2665 " +
+    "hellip:2026 hercon:22b9 hfr:1d525 hksearow:2925 hkswarow:2926 " +
+    "hoarr:21ff homtht:223b hookleftarrow:21a9 hookrightarrow:21aa " +
+    "hopf:1d559 horbar:2015 hscr:1d4bd hslash:210f hstrok:127 " +
+    "hybull:2043 hyphen:2010 iacute:ed ic:2063 icirc:ee icy:438 " +
+    "iecy:435 iexcl:a1 iff:21d4 ifr:1d526 igrave:ec ii:2148 " +
+    "iiiint:2a0c iiint:222d iinfin:29dc iiota:2129 ijlig:133 " +
+    "imacr:12b image:2111 imagline:2110 imagpart:2111 imath:131 " +
+    "imof:22b7 imped:1b5 in:2208 incare:2105 infin:221e " +
+    "infintie:29dd inodot:131 int:222b intcal:22ba integers:2124 " +
+    "intercal:22ba intlarhk:2a17 intprod:2a3c iocy:451 iogon:12f " +
+    "iopf:1d55a iota:3b9 iprod:2a3c iquest:bf iscr:1d4be isin:2208 " +
+    "isinE:22f9 isindot:22f5 isins:22f4 isinsv:22f3 isinv:2208 " +
+    "it:2062 itilde:129 iukcy:456 iuml:ef jcirc:135 jcy:439 " +
+    "jfr:1d527 jmath:237 jopf:1d55b jscr:1d4bf jsercy:458 jukcy:454 " +
+    "kappa:3ba kappav:3f0 kcedil:137 kcy:43a kfr:1d528 kgreen:138 " +
+    "khcy:445 kjcy:45c kopf:1d55c kscr:1d4c0 lAarr:21da lArr:21d0 " +
+    "lAtail:291b lBarr:290e lE:2266 lEg:2a8b lHar:2962 lacute:13a " +
+    "laemptyv:29b4 lagran:2112 lambda:3bb lang:27e8 langd:2991 " +
+    "langle:27e8 lap:2a85 laquo:ab larr:2190 larrb:21e4 larrbfs:291f " +
+    "larrfs:291d larrhk:21a9 larrlp:21ab larrpl:2939 larrsim:2973 " +
+    "larrtl:21a2 lat:2aab latail:2919 late:2aad lates:2aad,fe00 " +
+    "lbarr:290c lbbrk:2772 lbrace:7b lbrack:5b lbrke:298b " +
+    "lbrksld:298f lbrkslu:298d lcaron:13e lcedil:13c lceil:2308 " +
+    "lcub:7b lcy:43b ldca:2936 ldquo:201c ldquor:201e ldrdhar:2967 " +
+    "ldrushar:294b ldsh:21b2 le:2264 leftarrow:2190 " +
+    "leftarrowtail:21a2 leftharpoondown:21bd leftharpoonup:21bc " +
+    "leftleftarrows:21c7 leftrightarrow:2194 leftrightarrows:21c6 " +
+    "leftrightharpoons:21cb leftrightsquigarrow:21ad " +
+    "leftthreetimes:22cb leg:22da leq:2264 leqq:2266 leqslant:2a7d " +
+    "les:2a7d lescc:2aa8 lesdot:2a7f lesdoto:2a81 lesdotor:2a83 " +
+    "lesg:22da,fe00 lesges:2a93 lessapprox:2a85 lessdot:22d6 " +
+    "lesseqgtr:22da lesseqqgtr:2a8b lessgtr:2276 lesssim:2272 " +
+    "lfisht:297c lfloor:230a lfr:1d529 lg:2276 lgE:2a91 lhard:21bd " +
+    "lharu:21bc lharul:296a lhblk:2584 ljcy:459 ll:226a llarr:21c7 " +
+    "llcorner:231e llhard:296b lltri:25fa lmidot:140 lmoust:23b0 " +
+    "lmoustache:23b0 lnE:2268 lnap:2a89 lnapprox:2a89 lne:2a87 " +
+    "lneq:2a87 lneqq:2268 lnsim:22e6 loang:27ec loarr:21fd " +
+    "lobrk:27e6 longleftarrow:27f5 longleftrightarrow:27f7 " +
+    "longmapsto:27fc longrightarrow:27f6 looparrowleft:21ab " +
+    "looparrowright:21ac lopar:2985 lopf:1d55d loplus:2a2d " +
+    "lotimes:2a34 lowast:2217 lowbar:5f loz:25ca lozenge:25ca " +
+    "lozf:29eb lpar:28 lparlt:2993 lrarr:21c6 lrcorner:231f " +
+    "lrhar:21cb lrhard:296d lrm:200e lrtri:22bf lsaquo:2039 " +
+    "lscr:1d4c1 lsh:21b0 lsim:2272 lsime:2a8d lsimg:2a8f lsqb:5b " +
+    "lsquo:2018 lsquor:201a lstrok:142 ltcc:2aa6 ltcir:2a79 " +
+    "ltdot:22d6 lthree:22cb ltimes:22c9 ltlarr:2976 ltquest:2a7b " +
+    "ltrPar:2996 ltri:25c3 ltrie:22b4 ltrif:25c2 lurdshar:294a " +
+    "luruhar:2966 lvertneqq:2268,fe00 lvnE:2268,fe00 mDDot:223a " +
+    "macr:af male:2642 malt:2720 maltese:2720 map:21a6 mapsto:21a6 " +
+    "mapstodown:21a7 mapstoleft:21a4 mapstoup:21a5 marker:25ae " +
+    "mcomma:2a29 mcy:43c mdash:2014 measuredangle:2221 mfr:1d52a " +
+    "mho:2127 micro:b5 mid:2223 midast:2a midcir:2af0 middot:b7 " +
+    "minus:2212 minusb:229f minusd:2238 minusdu:2a2a mlcp:2adb " +
+    "mldr:2026 mnplus:2213 models:22a7 mopf:1d55e mp:2213 mscr:1d4c2 " +
+    "mstpos:223e mu:3bc multimap:22b8 mumap:22b8 nGg:22d9,338 " +
+    "nGt:226b,20d2 nGtv:226b,338 nLeftarrow:21cd " +
+    "nLeftrightarrow:21ce nLl:22d8,338 nLt:226a,20d2 nLtv:226a,338 " +
+    "nRightarrow:21cf nVDash:22af nVdash:22ae nabla:2207 nacute:144 " +
+    "nang:2220,20d2 nap:2249 napE:2a70,338 napid:224b,338 napos:149 " +
+    "napprox:2249 natur:266e natural:266e naturals:2115 nbsp:a0 " +
+    "nbump:224e,338 nbumpe:224f,338 ncap:2a43 ncaron:148 ncedil:146 " +
+    "ncong:2247 ncongdot:2a6d,338 ncup:2a42 ncy:43d ndash:2013 " +
+    "ne:2260 neArr:21d7 nearhk:2924 nearr:2197 nearrow:2197 " +
+    "nedot:2250,338 nequiv:2262 nesear:2928 nesim:2242,338 " +
+    "nexist:2204 nexists:2204 nfr:1d52b ngE:2267,338 nge:2271 " +
+    "ngeq:2271 ngeqq:2267,338 ngeqslant:2a7e,338 nges:2a7e,338 " +
+    "ngsim:2275 ngt:226f ngtr:226f nhArr:21ce nharr:21ae nhpar:2af2 " +
+    "ni:220b nis:22fc nisd:22fa niv:220b njcy:45a nlArr:21cd " +
+    "nlE:2266,338 nlarr:219a nldr:2025 nle:2270 nleftarrow:219a " +
+    "nleftrightarrow:21ae nleq:2270 nleqq:2266,338 " +
+    "nleqslant:2a7d,338 nles:2a7d,338 nless:226e nlsim:2274 nlt:226e " +
+    "nltri:22ea nltrie:22ec nmid:2224 nopf:1d55f not:ac notin:2209 " +
+    "notinE:22f9,338 notindot:22f5,338 notinva:2209 notinvb:22f7 " +
+    "notinvc:22f6 notni:220c notniva:220c notnivb:22fe notnivc:22fd " +
+    "npar:2226 nparallel:2226 nparsl:2afd,20e5 npart:2202,338 " +
+    "npolint:2a14 npr:2280 nprcue:22e0 npre:2aaf,338 nprec:2280 " +
+    "npreceq:2aaf,338 nrArr:21cf nrarr:219b nrarrc:2933,338 " +
+    "nrarrw:219d,338 nrightarrow:219b nrtri:22eb nrtrie:22ed " +
+    "nsc:2281 nsccue:22e1 nsce:2ab0,338 nscr:1d4c3 nshortmid:2224 " +
+    "nshortparallel:2226 nsim:2241 nsime:2244 nsimeq:2244 nsmid:2224 " +
+    "nspar:2226 nsqsube:22e2 nsqsupe:22e3 nsub:2284 nsubE:2ac5,338 " +
+    "nsube:2288 nsubset:2282,20d2 nsubseteq:2288 nsubseteqq:2ac5,338 " +
+    "nsucc:2281 nsucceq:2ab0,338 nsup:2285 nsupE:2ac6,338 nsupe:2289 " +
+    "nsupset:2283,20d2 nsupseteq:2289 nsupseteqq:2ac6,338 ntgl:2279 " +
+    "ntilde:f1 ntlg:2278 ntriangleleft:22ea ntrianglelefteq:22ec " +
+    "ntriangleright:22eb ntrianglerighteq:22ed nu:3bd num:23 " +
+    "numero:2116 numsp:2007 nvDash:22ad nvHarr:2904 nvap:224d,20d2 " +
+    "nvdash:22ac nvge:2265,20d2 nvgt:3e,20d2 nvinfin:29de " +
+    "nvlArr:2902 nvle:2264,20d2 nvlt:3c,20d2 nvltrie:22b4,20d2 " +
+    "nvrArr:2903 nvrtrie:22b5,20d2 nvsim:223c,20d2 nwArr:21d6 " +
+    "nwarhk:2923 nwarr:2196 nwarrow:2196 nwnear:2927 oS:24c8 " +
+    "oacute:f3 oast:229b ocir:229a ocirc:f4 ocy:43e odash:229d " +
+    "odblac:151 odiv:2a38 odot:2299 odsold:29bc oelig:153 ofcir:29bf " +
+    "ofr:1d52c ogon:2db ograve:f2 ogt:29c1 ohbar:29b5 ohm:3a9 " +
+    "oint:222e olarr:21ba olcir:29be olcross:29bb oline:203e " +
+    "olt:29c0 omacr:14d omega:3c9 omicron:3bf omid:29b6 ominus:2296 " +
+    "oopf:1d560 opar:29b7 operp:29b9 oplus:2295 or:2228 orarr:21bb " +
+    "ord:2a5d order:2134 orderof:2134 ordf:aa ordm:ba origof:22b6 " +
+    "oror:2a56 orslope:2a57 orv:2a5b oscr:2134 oslash:f8 osol:2298 " +
+    "otilde:f5 otimes:2297 otimesas:2a36 ouml:f6 ovbar:233d par:2225 " +
+    "para:b6 parallel:2225 parsim:2af3 parsl:2afd part:2202 pcy:43f " +
+    "percnt:25 period:2e permil:2030 perp:22a5 pertenk:2031 " +
+    "pfr:1d52d phi:3c6 phiv:3d5 phmmat:2133 phone:260e pi:3c0 " +
+    "pitchfork:22d4 piv:3d6 planck:210f planckh:210e plankv:210f " +
+    "plus:2b plusacir:2a23 plusb:229e pluscir:2a22 plusdo:2214 " +
+    "plusdu:2a25 pluse:2a72 plusmn:b1 plussim:2a26 plustwo:2a27 " +
+    "pm:b1 pointint:2a15 popf:1d561 pound:a3 pr:227a prE:2ab3 " +
+    "prap:2ab7 prcue:227c pre:2aaf prec:227a precapprox:2ab7 " +
+    "preccurlyeq:227c preceq:2aaf precnapprox:2ab9 precneqq:2ab5 " +
+    "precnsim:22e8 precsim:227e prime:2032 primes:2119 prnE:2ab5 " +
+    "prnap:2ab9 prnsim:22e8 prod:220f profalar:232e profline:2312 " +
+    "profsurf:2313 prop:221d propto:221d prsim:227e prurel:22b0 " +
+    "pscr:1d4c5 psi:3c8 puncsp:2008 qfr:1d52e qint:2a0c qopf:1d562 " +
+    "qprime:2057 qscr:1d4c6 quaternions:210d quatint:2a16 quest:3f " +
+    "questeq:225f rAarr:21db rArr:21d2 rAtail:291c rBarr:290f " +
+    "rHar:2964 race:223d,331 racute:155 radic:221a raemptyv:29b3 " +
+    "rang:27e9 rangd:2992 range:29a5 rangle:27e9 raquo:bb rarr:2192 " +
+    "rarrap:2975 rarrb:21e5 rarrbfs:2920 rarrc:2933 rarrfs:291e " +
+    "rarrhk:21aa rarrlp:21ac rarrpl:2945 rarrsim:2974 rarrtl:21a3 " +
+    "rarrw:219d ratail:291a ratio:2236 rationals:211a rbarr:290d " +
+    "rbbrk:2773 rbrace:7d rbrack:5d rbrke:298c rbrksld:298e " +
+    "rbrkslu:2990 rcaron:159 rcedil:157 rceil:2309 rcub:7d rcy:440 " +
+    "rdca:2937 rdldhar:2969 rdquo:201d rdquor:201d rdsh:21b3 " +
+    "real:211c realine:211b realpart:211c reals:211d rect:25ad " +
+    "reg:ae rfisht:297d rfloor:230b rfr:1d52f rhard:21c1 rharu:21c0 " +
+    "rharul:296c rho:3c1 rhov:3f1 rightarrow:2192 " +
+    "rightarrowtail:21a3 rightharpoondown:21c1 rightharpoonup:21c0 " +
+    "rightleftarrows:21c4 rightleftharpoons:21cc " +
+    "rightrightarrows:21c9 rightsquigarrow:219d rightthreetimes:22cc " +
+    "ring:2da risingdotseq:2253 rlarr:21c4 rlhar:21cc rlm:200f " +
+    "rmoust:23b1 rmoustache:23b1 rnmid:2aee roang:27ed roarr:21fe " +
+    "robrk:27e7 ropar:2986 ropf:1d563 roplus:2a2e rotimes:2a35 " +
+    "rpar:29 rpargt:2994 rppolint:2a12 rrarr:21c9 rsaquo:203a " +
+    "rscr:1d4c7 rsh:21b1 rsqb:5d rsquo:2019 rsquor:2019 rthree:22cc " +
+    "rtimes:22ca rtri:25b9 rtrie:22b5 rtrif:25b8 rtriltri:29ce " +
+    "ruluhar:2968 rx:211e sacute:15b sbquo:201a sc:227b scE:2ab4 " +
+    "scap:2ab8 scaron:161 sccue:227d sce:2ab0 scedil:15f scirc:15d " +
+    "scnE:2ab6 scnap:2aba scnsim:22e9 scpolint:2a13 scsim:227f " +
+    "scy:441 sdot:22c5 sdotb:22a1 sdote:2a66 seArr:21d8 searhk:2925 " +
+    "searr:2198 searrow:2198 sect:a7 semi:3b seswar:2929 " +
+    "setminus:2216 setmn:2216 sext:2736 sfr:1d530 sfrown:2322 " +
+    "sharp:266f shchcy:449 shcy:448 shortmid:2223 shortparallel:2225 " +
+    "shy:ad sigma:3c3 sigmaf:3c2 sigmav:3c2 sim:223c simdot:2a6a " +
+    "sime:2243 simeq:2243 simg:2a9e simgE:2aa0 siml:2a9d simlE:2a9f " +
+    "simne:2246 simplus:2a24 simrarr:2972 slarr:2190 " +
+    "smallsetminus:2216 smashp:2a33 smeparsl:29e4 smid:2223 " +
+    "smile:2323 smt:2aaa smte:2aac smtes:2aac,fe00 softcy:44c sol:2f " +
+    "solb:29c4 solbar:233f sopf:1d564 spades:2660 spadesuit:2660 " +
+    "spar:2225 sqcap:2293 sqcaps:2293,fe00 sqcup:2294 " +
+    "sqcups:2294,fe00 sqsub:228f sqsube:2291 sqsubset:228f " +
+    "sqsubseteq:2291 sqsup:2290 sqsupe:2292 sqsupset:2290 " +
+    "sqsupseteq:2292 squ:25a1 square:25a1 squarf:25aa squf:25aa " +
+    "srarr:2192 sscr:1d4c8 ssetmn:2216 ssmile:2323 sstarf:22c6 " +
+    "star:2606 starf:2605 straightepsilon:3f5 straightphi:3d5 " +
+    "strns:af sub:2282 subE:2ac5 subdot:2abd sube:2286 subedot:2ac3 " +
+    "submult:2ac1 subnE:2acb subne:228a subplus:2abf subrarr:2979 " +
+    "subset:2282 subseteq:2286 subseteqq:2ac5 subsetneq:228a " +
+    "subsetneqq:2acb subsim:2ac7 subsub:2ad5 subsup:2ad3 succ:227b " +
+    "succapprox:2ab8 succcurlyeq:227d succeq:2ab0 succnapprox:2aba " +
+    "succneqq:2ab6 succnsim:22e9 succsim:227f sum:2211 sung:266a " +
+    "sup:2283 sup1:b9 sup2:b2 sup3:b3 supE:2ac6 supdot:2abe " +
+    "supdsub:2ad8 supe:2287 supedot:2ac4 suphsol:27c9 suphsub:2ad7 " +
+    "suplarr:297b supmult:2ac2 supnE:2acc supne:228b supplus:2ac0 " +
+    "supset:2283 supseteq:2287 supseteqq:2ac6 supsetneq:228b " +
+    "supsetneqq:2acc supsim:2ac8 supsub:2ad4 supsup:2ad6 swArr:21d9 " +
+    "swarhk:2926 swarr:2199 swarrow:2199 swnwar:292a szlig:df " +
+    "target:2316 tau:3c4 tbrk:23b4 tcaron:165 tcedil:163 tcy:442 " +
+    "tdot:20db telrec:2315 tfr:1d531 there4:2234 therefore:2234 " +
+    "theta:3b8 thetasym:3d1 thetav:3d1 thickapprox:2248 " +
+    "thicksim:223c thinsp:2009 thkap:2248 thksim:223c thorn:fe " +
+    "tilde:2dc times:d7 timesb:22a0 timesbar:2a31 timesd:2a30 " +
+    "tint:222d toea:2928 top:22a4 topbot:2336 topcir:2af1 topf:1d565 " +
+    "topfork:2ada tosa:2929 tprime:2034 trade:2122 triangle:25b5 " +
+    "triangledown:25bf triangleleft:25c3 trianglelefteq:22b4 " +
+    "triangleq:225c triangleright:25b9 trianglerighteq:22b5 " +
+    "tridot:25ec trie:225c triminus:2a3a triplus:2a39 trisb:29cd " +
+    "tritime:2a3b trpezium:23e2 tscr:1d4c9 tscy:446 tshcy:45b " +
+    "tstrok:167 twixt:226c twoheadleftarrow:219e " +
+    "twoheadrightarrow:21a0 uArr:21d1 uHar:2963 uacute:fa uarr:2191 " +
+    "ubrcy:45e ubreve:16d ucirc:fb ucy:443 udarr:21c5 udblac:171 " +
+    "udhar:296e ufisht:297e ufr:1d532 ugrave:f9 uharl:21bf " +
+    "uharr:21be uhblk:2580 ulcorn:231c ulcorner:231c ulcrop:230f " +
+    "ultri:25f8 umacr:16b uml:a8 uogon:173 uopf:1d566 uparrow:2191 " +
+    "updownarrow:2195 upharpoonleft:21bf upharpoonright:21be " +
+    "uplus:228e upsi:3c5 upsih:3d2 upsilon:3c5 upuparrows:21c8 " +
+    "urcorn:231d urcorner:231d urcrop:230e uring:16f urtri:25f9 " +
+    "uscr:1d4ca utdot:22f0 utilde:169 utri:25b5 utrif:25b4 " +
+    "uuarr:21c8 uuml:fc uwangle:29a7 vArr:21d5 vBar:2ae8 vBarv:2ae9 " +
+    "vDash:22a8 vangrt:299c varepsilon:3f5 varkappa:3f0 " +
+    "varnothing:2205 varphi:3d5 varpi:3d6 varpropto:221d varr:2195 " +
+    "varrho:3f1 varsigma:3c2 varsubsetneq:228a,fe00 " +
+    "varsubsetneqq:2acb,fe00 varsupsetneq:228b,fe00 " +
+    "varsupsetneqq:2acc,fe00 vartheta:3d1 vartriangleleft:22b2 " +
+    "vartriangleright:22b3 vcy:432 vdash:22a2 vee:2228 veebar:22bb " +
+    "veeeq:225a vellip:22ee verbar:7c vert:7c vfr:1d533 vltri:22b2 " +
+    "vnsub:2282,20d2 vnsup:2283,20d2 vopf:1d567 vprop:221d " +
+    "vrtri:22b3 vscr:1d4cb vsubnE:2acb,fe00 vsubne:228a,fe00 " +
+    "vsupnE:2acc,fe00 vsupne:228b,fe00 vzigzag:299a wcirc:175 " +
+    "wedbar:2a5f wedge:2227 wedgeq:2259 weierp:2118 wfr:1d534 " +
+    "wopf:1d568 wp:2118 wr:2240 wreath:2240 wscr:1d4cc xcap:22c2 " +
+    "xcirc:25ef xcup:22c3 xdtri:25bd xfr:1d535 xhArr:27fa xharr:27f7 " +
+    "xi:3be xlArr:27f8 xlarr:27f5 xmap:27fc xnis:22fb xodot:2a00 " +
+    "xopf:1d569 xoplus:2a01 xotime:2a02 xrArr:27f9 xrarr:27f6 " +
+    "xscr:1d4cd xsqcup:2a06 xuplus:2a04 xutri:25b3 xvee:22c1 " +
+    "xwedge:22c0 yacute:fd yacy:44f ycirc:177 ycy:44b yen:a5 " +
+    "yfr:1d536 yicy:457 yopf:1d56a yscr:1d4ce yucy:44e yuml:ff " +
+    "zacute:17a zcaron:17e zcy:437 zdot:17c zeetrf:2128 zeta:3b6 " +
+    "zfr:1d537 zhcy:436 zigrarr:21dd zopf:1d56b zscr:1d4cf zwj:200d " +
+    "zwnj:200c";
+  
+  /*
+   * The five named entities predefined by XML, mapped to their values.
+   */
+  const XML_ENTITIES = {
+    "amp" : "&",
+    "lt"  : "<",
+    "gt"  : ">",
+    "apos": "'",
+    "quot": "\""
+  };
+  
   /*
    * Regular expressions
    * ===================
@@ -118,6 +650,15 @@ window.LeafXML = (function() {
     "usg"
   );
   
+  /*
+   * Regular expression that matches each single whitespace codepoint
+   * other than space.
+   */
+  const RX_ATTR_WS = new RegExp(
+    "[\\t\\n\\r]",
+    "usg"
+  );
+  
   /*
    * Regular expression that matches whitespace at the start of a
    * string, for use in whitespace trimming according to XML.
@@ -136,6 +677,20 @@ window.LeafXML = (function() {
     "us"
   );
   
+  /*
+   * Regular expressions that match integer and decimal attribute values
+   * for the typed attribute accessors.
+   */
+  const RX_INT_VALUE = new RegExp(
+    "^[+\\-]?[0-9]+$",
+    "us"
+  );
+  
+  const RX_NUM_VALUE = new RegExp(
+    "^[+\\-]?(?:[0-9]+(?:\\.[0-9]*)?|\\.[0-9]+)(?:[eE][+\\-]?[0-9]+)?$",
+    "us"
+  );
+  
   /*
    * Regular expression that matches only if a string contains XML
    * whitespace codepoints.  Empty strings also match.
@@ -228,16 +783,13 @@ window.LeafXML = (function() {
   
   /*
    * Regular expression that iterates through escaped text, having plain
-   * text, line breaks, entity escapes, and invalid ampersands as the
-   * different possibilities.
+   * text, entity escapes, and invalid ampersands as the different
+   * possibilities.
    */
   const RX_ENT_ESC = new RegExp(
     "(?:" +
       "(?:" +
-        "[^&\\n]+" +
-      ")|" +
-      "(?:" +
-        "\\n" +
+        "[^&]+" +
       ")|" +
       "(?:" +
         "&[^;&]*;" +
@@ -253,7 +805,7 @@ window.LeafXML = (function() {
    * Regular expressions for parsing different kinds of entity escapes.
    */
   const RX_ENT_ESC_NAMED = new RegExp(
-    "^&([a-z]+);$",
+    "^&([A-Za-z][A-Za-z0-9]*);$",
     "us"
   );
   
@@ -327,7 +879,7 @@ window.LeafXML = (function() {
       "(\\u{2f})?" +
       "([^ \\t\\n\\u{2f}\\u{3e}\"'=]+)" +
       "((?:" +
-        "[^\\u{2f}\"']*|" +
+        "[^\\u{2f}\"']|" +
         "(?:\"[^\"]*\")|" +
         "(?:'[^']*')" +
       ")*)" +
@@ -337,13 +889,80 @@ window.LeafXML = (function() {
     "us"
   );
   
+  /*
+   * Regular expression for parsing a processing instruction token.
+   * The first group is the instruction target and the second group is
+   * the instruction data, which is undefined if there is no data.
+   */
+  const RX_PARSE_PI = new RegExp(
+    "^\\u{3c}\\?([^ \\t\\n\\?]+)(?:[ \\t\\n]+(.*?))?\\?\\u{3e}$",
+    "us"
+  );
+  
+  /*
+   * Regular expression for parsing a DOCTYPE token.  The first group is
+   * the root element name.  For a SYSTEM identifier, either the second
+   * or third group is the system ID, depending on the quote style.  For
+   * a PUBLIC identifier, either the fourth or fifth group is the public
+   * ID, and either the sixth or seventh group is the system ID if there
+   * is one.
+   */
+  const RX_PARSE_DOCTYPE = new RegExp(
+    "^\\u{3c}!DOCTYPE[ \\t\\n]+([^ \\t\\n\\u{3e}'\"]+)" +
+    "(?:[ \\t\\n]+(?:" +
+      "SYSTEM[ \\t\\n]+(?:\"([^\"]*)\"|'([^']*)')|" +
+      "PUBLIC[ \\t\\n]+(?:\"([^\"]*)\"|'([^']*)')" +
+      "(?:[ \\t\\n]+(?:\"([^\"]*)\"|'([^']*)'))?" +
+    "))?" +
+    "[ \\t\\n]*\\u{3e}$",
+    "us"
+  );
+  
+  /*
+   * Regular expression that matches the start of an XML declaration
+   * token, which is a processing instruction with the target "xml".
+   */
+  const RX_XML_DECL_START = new RegExp(
+    "^\\u{3c}\\?xml(?:[ \\t\\n]|\\?\\u{3e})",
+    "us"
+  );
+  
+  /*
+   * Regular expression for parsing an XML declaration token.  Either
+   * the first or second group is the version, depending on the quote
+   * style.  Likewise, the third or fourth group is the encoding and the
+   * fifth or sixth group is the standalone declaration, which are
+   * undefined if not declared.
+   */
+  const RX_PARSE_XML_DECL = new RegExp(
+    "^\\u{3c}\\?xml" +
+    "[ \\t\\n]+version[ \\t\\n]*=[ \\t\\n]*" +
+      "(?:\"(1\\.[0-9]+)\"|'(1\\.[0-9]+)')" +
+    "(?:[ \\t\\n]+encoding[ \\t\\n]*=[ \\t\\n]*" +
+      "(?:\"([A-Za-z][A-Za-z0-9\\._\\-]*)\"|" +
+      "'([A-Za-z][A-Za-z0-9\\._\\-]*)'))?" +
+    "(?:[ \\t\\n]+standalone[ \\t\\n]*=[ \\t\\n]*" +
+      "(?:\"(yes|no)\"|'(yes|no)'))?" +
+    "[ \\t\\n]*\\?\\u{3e}$",
+    "us"
+  );
+  
+  /*
+   * Regular expression that matches a whole XML version string.
+   */
+  const RX_XML_VERSION = new RegExp(
+    "^1\\.[0-9]+$",
+    "us"
+  );
+  
   /*
    * Regular expression that matches a CDATA token and returns the text
    * inside the block as the first capture group.
    */
   const RX_CDATA = new RegExp(
     "^\\u{3c}!\\u{5b}CDATA\\u{5b}" +
-    "((?:[^\\u{5d}]|\\u{5d}[^\\u{5d}]|\\u{5d}\\u{5d}+[^\\u{3e}])*)" +
+    "((?:[^\\u{5d}]|\\u{5d}[^\\u{5d}]|" +
+    "\\u{5d}\\u{5d}+[^\\u{5d}\\u{3e}])*\\u{5d}*)" +
     "\\u{5d}\\u{5d}\\u{3e}$",
     "us"
   );
@@ -363,28 +982,29 @@ window.LeafXML = (function() {
     "(?:" +
       "(?:" +
         "\\u{3c}!--" +
-        "(?:[^\\-]+|-[^\\-]|--+[^\\u{3e}])*" +
+        "(?:[^\\-]|-[^\\-]|--+[^\\-\\u{3e}])*" +
         "-+-\\u{3e}" +
       ")|" +
       "(?:" +
         "\\u{3c}\\?" +
-        "(?:[^\\?]+|\\?+[^\\u{3e}])*" +
-        "\\?+\\u{3e}" +
+        "(?:[^\\?]|\\?(?!\\u{3e}))*" +
+        "\\?\\u{3e}" +
       ")|" +
       "(?:" +
         "\\u{3c}!DOCTYPE" +
-        "(?:[^\\u{3e}'\"\\u{5b}\\u{5d}]+|'[^']*'|\"[^\"]*\")*" +
+        "(?:[^\\u{3e}'\"\\u{5b}\\u{5d}]|'[^']*'|\"[^\"]*\")*" +
         "\u{3e}" +
       ")|" +
       "(?:" +
         "\\u{3c}!\\u{5b}CDATA\\u{5b}" +
-        "(?:[^\\u{5d}]|\\u{5d}[^\\u{5d}]|\\u{5d}\\u{5d}+[^\\u{3e}])*" +
+        "(?:[^\\u{5d}]|\\u{5d}[^\\u{5d}]|" +
+          "\\u{5d}\\u{5d}+[^\\u{5d}\\u{3e}])*" +
         "\\u{5d}+\\u{5d}\\u{3e}" +
       ")|" +
       "(?:" +
         "\\u{3c}[^!\\?\\u{3e}]" +
         "(?:" +
-          "[^\\u{3c}\\u{3e}'\"]+|" +
+          "[^\\u{3c}\\u{3e}'\"]|" +
           "'[^\\u{3c}']*'|" +
           "\"[^\\u{3c}\"]*\"" +
         ")*" +
@@ -398,6 +1018,112 @@ window.LeafXML = (function() {
       ")" +
   ")";
   
+  /*
+   * Regular expression that matches an incomplete markup token that
+   * runs all the way to the end of the input.
+   * 
+   * This is used when the tokenizer returns the single "<" failure
+   * token while further input is still expected.  If this regular
+   * expression matches at the position of the failure token, then the
+   * markup might still be completed by input that has not arrived yet,
+   * so the tokenizer should wait rather than report an error.
+   * 
+   * This must be used with the lastIndex property set to the position
+   * of the "<" codepoint.
+   */
+  const RX_PARTIAL_TOKEN = new RegExp(
+    "\\u{3c}" +
+    "(?:" +
+      "(?:" +
+        "!(?:-(?:-(?:[^\\-]|-[^\\-]|--+[^\\-\\u{3e}])*-*)?)?" +
+      ")|" +
+      "(?:" +
+        "\\?(?:[^\\?]|\\?(?!\\u{3e}))*" +
+      ")|" +
+      "(?:" +
+        "!D(?:O(?:C(?:T(?:Y(?:P(?:E" +
+        "(?:[^\\u{3e}'\"\\u{5b}\\u{5d}]|'[^']*'|\"[^\"]*\")*" +
+        "(?:'[^']*|\"[^\"]*)?" +
+        ")?)?)?)?)?)?" +
+      ")|" +
+      "(?:" +
+        "!\\u{5b}(?:C(?:D(?:A(?:T(?:A(?:\\u{5b}" +
+        "(?:[^\\u{5d}]|\\u{5d}[^\\u{5d}]|" +
+          "\\u{5d}\\u{5d}+[^\\u{5d}\\u{3e}])*" +
+        "\\u{5d}*" +
+        ")?)?)?)?)?)?" +
+      ")|" +
+      "(?:" +
+        "(?:" +
+          "[^!\\?\\u{3e}]" +
+          "(?:" +
+            "[^\\u{3c}\\u{3e}'\"]|" +
+            "'[^\\u{3c}']*'|" +
+            "\"[^\\u{3c}\"]*\"" +
+          ")*" +
+          "(?:'[^\\u{3c}']*|\"[^\\u{3c}\"]*)?" +
+        ")?" +
+      ")" +
+    ")$",
+    "usy"
+  );
+  
+  /*
+   * Regular expression that matches the start of a DOCTYPE declaration
+   * up to the opening bracket of an internal DTD subset.
+   * 
+   * The tokenizer does not accept internal DTD subsets, so a DOCTYPE
+   * declaration that has one yields the "<" failure token.  This is
+   * used to report such failures as a rejected DTD rather than a
+   * generic tokenization failure.
+   * 
+   * This must be used with the lastIndex property set to the position
+   * of the "<" codepoint.
+   */
+  const RX_DTD_SUBSET = new RegExp(
+    "\\u{3c}!DOCTYPE" +
+    "(?:[^\\u{3e}'\"\\u{5b}\\u{5d}]|'[^']*'|\"[^\"]*\")*" +
+    "\\u{5b}",
+    "usy"
+  );
+  
+  /*
+   * Regular expression that matches a whole DOCTYPE declaration that
+   * has an internal DTD subset.
+   * 
+   * This is only used in recovery mode, to skip over the rejected
+   * declaration.  The internal subset is not parsed; it is assumed to
+   * end at the first closing bracket that is not quoted.
+   * 
+   * This must be used with the lastIndex property set to the position
+   * of the "<" codepoint.
+   */
+  const RX_DTD_SKIP = new RegExp(
+    "\\u{3c}!DOCTYPE" +
+    "(?:[^\\u{3e}'\"\\u{5b}\\u{5d}]|'[^']*'|\"[^\"]*\")*" +
+    "\\u{5b}" +
+    "(?:[^\\u{5d}'\"]|'[^']*'|\"[^\"]*\")*" +
+    "\\u{5d}" +
+    "[ \\t\\n\\r]*" +
+    "\\u{3e}",
+    "usy"
+  );
+  
+  /*
+   * Regular expression that splits a URI reference into its components,
+   * following appendix B of RFC 3986.  The groups are the scheme, the
+   * authority, the path, the query, and the fragment, which are
+   * undefined if not present, except for the path, which may be empty.
+   */
+  const RX_SPLIT_URI = new RegExp(
+    "^(?:([^:/\\?#]+):)?" +
+    "(?://([^/\\?#]*))?" +
+    "([^\\?#]*)" +
+    "(?:\\?([^#]*))?" +
+    "(?:#(.*))?$",
+    "us"
+  );
+  
   /*
    * Local functions
    * ===============
@@ -556,562 +1282,1182 @@ window.LeafXML = (function() {
   }
   
   /*
-   * Public functions
-   * ================
-   */
-  
-  /*
-   * Determine whether the given value is an integer.
+   * Determine the encoding of a binary LeafXML file by checking for a
+   * byte order mark at the start of the given bytes.
+   * 
+   * The return value is an array of two elements.  The first is the
+   * number of bytes the byte order mark occupies, or zero if there is
+   * none.  The second is the name of the encoding to pass to a
+   * TextDecoder.  UTF-8 is returned if there is no byte order mark.
+   * 
+   * At least the first three bytes of the file should be given, unless
+   * the whole file is shorter than that.
    * 
    * Parameters:
    * 
-   *   val - the value to check
+   *   ubuf - Uint8Array holding the start of the file
    * 
    * Return:
    * 
-   *   true if value is an integer, false otherwise
+   *   array holding the byte order mark length and the encoding name
    */
-  function isInteger(val) {
-    if (typeof val !== "number") {
-      return false;
+  function detectBOM(ubuf) {
+    // Check parameters
+    if (!(ubuf instanceof Uint8Array)) {
+      throw new Error();
     }
-    if (Math.floor(val) !== val) {
-      return false;
+    
+    // Determine the number of BOM bytes and the specific encoding by
+    // looking at the start of the buffer
+    let bom_bytes = 0;
+    let enc_name  = "utf-8";
+    
+    if (ubuf.length >= 3) {
+      if ((ubuf[0] === 0xef) &&
+          (ubuf[1] === 0xbb) &&
+          (ubuf[2] === 0xbf)) {
+        bom_bytes = 3;
+        enc_name = "utf-8";
+      }
     }
-    return true;
+    
+    if ((bom_bytes === 0) && (ubuf.length >= 2)) {
+      if ((ubuf[0] === 0xfe) && (ubuf[1] === 0xff)) {
+        bom_bytes = 2;
+        enc_name = "utf-16be";
+        
+      } else if ((ubuf[0] === 0xff) && (ubuf[1] === 0xfe)) {
+        bom_bytes = 2;
+        enc_name = "utf-16le";
+      }
+    }
+    
+    // Return results
+    return [bom_bytes, enc_name];
   }
   
   /*
-   * Check whether a given integer value is a valid Unicode codepoint
-   * that can be used within LeafXML.
+   * Determine the number of bytes that a string takes up when encoded
+   * in UTF-8.
+   * 
+   * The string must not have unpaired surrogates, which is always the
+   * case for strings decoded by a fatal TextDecoder.
    * 
    * Parameters:
    * 
-   *   c - integer value to check
+   *   str - the string to measure
    * 
    * Return:
    * 
-   *   true if valid codepoint value, false otherwise
+   *   the encoded length in bytes
    */
-  function validCode(c) {
-    if (!isInteger(c)) {
+  function utf8Length(str) {
+    // Check parameters
+    if (typeof str !== "string") {
       throw new Error();
     }
     
-    let result = false;
-    if ((c === 0x9) || (c === 0xa) || (c == 0xd) ||
-        ((c >= 0x20) && (c <= 0x7e)) ||
-        (c === 0x85) ||
-        ((c >= 0xa0) && (c <= 0xd7ff)) ||
-        ((c >= 0xe000) && (c <= 0xfdcf)) ||
-        ((c >= 0xfdf0) && (c <= 0x10fffd))) {
-      
-      if ((c & 0xffff) < 0xfffe) {
-        result = true;
+    // Add up the encoded length of each codepoint, where a surrogate
+    // pair is a supplementary codepoint taking four bytes
+    let count = 0;
+    for(let i = 0; i < str.length; i++) {
+      const c = str.charCodeAt(i);
+      if (c < 0x80) {
+        count += 1;
+      } else if (c < 0x800) {
+        count += 2;
+      } else if ((c >= 0xd800) && (c < 0xdc00)) {
+        count += 4;
+        i++;
+      } else {
+        count += 3;
       }
     }
     
-    return result;
+    return count;
   }
   
   /*
-   * Check whether a given string only contains codepoints that pass the
-   * validCode() function.  Empty strings do pass this function.
+   * Generator that splits a binary buffer into chunks of at most
+   * BINARY_CHUNK_SIZE bytes.
    * 
-   * This function is optimized so that it does not actually invoke
-   * validCode() but rather uses a regular expression.
+   * The chunks are views into the given buffer, so no bytes are copied.
    * 
    * Parameters:
    * 
-   *   str - the string to check
+   *   ubuf - the Uint8Array to split
    * 
    * Return:
    * 
-   *   true if only valid codepoints in string, false otherwise
+   *   an iterator over Uint8Array chunks
    */
-  function validString(str) {
-    if (typeof str !== "string") {
+  function* chunkBytes(ubuf) {
+    // Check parameters
+    if (!(ubuf instanceof Uint8Array)) {
       throw new Error();
     }
     
-    RX_VALID_STR.lastIndex = 0;
-    return RX_VALID_STR.test(str);
+    // Yield the chunks
+    for(let i = 0; i < ubuf.length; i += BINARY_CHUNK_SIZE) {
+      yield ubuf.subarray(i, i + BINARY_CHUNK_SIZE);
+    }
   }
   
   /*
-   * Check whether a given string qualifies as a valid XML name.  This
-   * function allows names to contain colons.
+   * Determine the family of an encoding name, so that encoding names
+   * can be compared.
+   * 
+   * The result is "utf-8" for all names of UTF-8 and "utf-16" for all
+   * names of UTF-16, regardless of byte order.  US-ASCII is a subset of
+   * UTF-8, so its names also have the family "utf-8".  Any other name
+   * is returned in lowercase.
    * 
    * Parameters:
    * 
-   *   str - the string to check
+   *   name - the encoding name
    * 
    * Return:
    * 
-   *   true if name is valid, false otherwise
+   *   the encoding family name
    */
-  function validName(str) {
-    if (typeof str !== "string") {
+  function encodingFamily(name) {
+    // Check parameters
+    if (typeof name !== "string") {
       throw new Error();
     }
     
-    RX_VALID_NAME_1.lastIndex = 0;
-    RX_VALID_NAME_2.lastIndex = 0;
+    // Determine family
+    name = name.toLowerCase();
+    if ((name === "utf-8") || (name === "utf8") ||
+        (name === "us-ascii") || (name === "ascii")) {
+      return "utf-8";
+    
+    } else if ((name === "utf-16") || (name === "utf-16le") ||
+                (name === "utf-16be")) {
+      return "utf-16";
     
-    if (RX_VALID_NAME_1.test(str) && RX_VALID_NAME_2.test(str)) {
-      return true;
     } else {
-      return false;
+      return name;
     }
   }
   
   /*
-   * Read a whole binary ArrayBuffer into a Unicode string.
+   * Get a boolean option from a Parser options object.
    * 
-   * You can get ArrayBuffer objects from Blobs and Files by using a
-   * FileReader with the readAsArrayBuffer() method.
+   * If the option is not present, false is returned.  Otherwise, the
+   * option must be a boolean.
    * 
-   * You can get ArrayBuffer objects from XMLHttpRequest by specifying
-   * "arraybuffer" as the responseType.
+   * Parameters:
    * 
-   * This function supports decoding UTF-8 with and without a byte order
-   * mark, and UTF-16 with a byte order mark.
+   *   options - the options object
    * 
-   * An exception is thrown in case of decoding error.
+   *   name - the name of the option
+   * 
+   * Return:
+   * 
+   *   the value of the option
+   */
+  function flagOption(options, name) {
+    // Check parameters
+    if ((typeof options !== "object") || (typeof name !== "string")) {
+      throw new Error();
+    }
+    
+    // Get the option
+    const val = options[name];
+    if (val === undefined) {
+      return false;
+    }
+    if (typeof val !== "boolean") {
+      throw new Error("Invalid parser option: " + name);
+    }
+    return val;
+  }
+  
+  /*
+   * Get a string option from a Parser options object.
+   * 
+   * If the option is not present or null, null is returned.  Otherwise,
+   * the option must be a string.
    * 
    * Parameters:
    * 
-   *   abuf - the ArrayBuffer to decode
+   *   options - the options object
+   * 
+   *   name - the name of the option
    * 
    * Return:
    * 
-   *   a decoded Unicode string
+   *   the value of the option, or null
    */
-  function readFullText(abuf) {
+  function stringOption(options, name) {
     // Check parameters
-    if (!(abuf instanceof ArrayBuffer)) {
+    if ((typeof options !== "object") || (typeof name !== "string")) {
       throw new Error();
     }
     
-    // If empty buffer, return empty string
-    if (abuf.byteLength < 1) {
-      return "";
+    // Get the option
+    const val = options[name];
+    if ((val === undefined) || (val === null)) {
+      return null;
     }
-    
-    // Get an unsigned byte view of the buffer
-    const ubuf = new Uint8Array(abuf);
-    
-    // Determine the number of BOM bytes and the specific encoding by
-    // looking at the start of the buffer
-    let bom_bytes = 0;
-    let enc_name  = "utf-8";
-    
-    if (ubuf.length >= 3) {
-      if ((ubuf[0] === 0xef) &&
-          (ubuf[1] === 0xbb) &&
-          (ubuf[2] === 0xbf)) {
-        bom_bytes = 3;
-        enc_name = "utf-8";
-      }
+    if (typeof val !== "string") {
+      throw new Error("Invalid parser option: " + name);
     }
-    
-    if ((bom_bytes === 0) && (ubuf.length >= 2)) {
-      if ((ubuf[0] === 0xfe) && (ubuf[1] === 0xff)) {
-        bom_bytes = 2;
-        enc_name = "utf-16be";
-        
-      } else if ((ubuf[0] === 0xff) && (ubuf[1] === 0xfe)) {
-        bom_bytes = 2;
-        enc_name = "utf-16le";
+    return val;
+  }
+  
+  /*
+   * The unpacked table of HTML5 named character references, or null if
+   * it has not been unpacked yet.
+   */
+  let html5_cache = null;
+  
+  /*
+   * Get the table of HTML5 named character references.
+   * 
+   * The table is unpacked from HTML5_ENTITIES on first use.
+   * 
+   * Return:
+   * 
+   *   object mapping entity names to their values
+   */
+  function html5Entities() {
+    if (html5_cache === null) {
+      const table = {};
+      const entries = HTML5_ENTITIES.split(" ");
+      for(let i = 0; i < entries.length; i++) {
+        const parts = entries[i].split(":");
+        const cps = parts[1].split(",").map(function(h) {
+          return parseInt(h, 16);
+        });
+        table[parts[0]] = String.fromCodePoint.apply(null, cps);
       }
+      html5_cache = table;
     }
-    
-    // If only thing that is present is a BOM, then return empty string
-    if (bom_bytes >= ubuf.length) {
-      return "";
-    }
-    
-    // Set the data array to the same as the byte array if there is no
-    // BOM, and otherwise a subset excluding the BOM
-    let dbuf = ubuf;
-    if (bom_bytes > 0) {
-      dbuf = ubuf.subarray(bom_bytes);
-    }
-    
-    // Construct a text decoder with the appropriate encoding type and
-    // set it to throw exceptions in case of bad encodings and also to
-    // not process any BOM because we've already done BOM processing
-    // ourselves
-    const tdec = new TextDecoder(enc_name, {
-      "fatal": true,
-      "ignoreBOM": true
-    });
-    
-    // Return decoded string
-    return tdec.decode(dbuf);
+    return html5_cache;
   }
   
   /*
-   * Encode a Unicode string into a binary Uint8Array.
-   * 
-   * You can construct Blobs around Uint8Array objects by specifying an
-   * array containing the Uint8Array to the Blob constructor.
-   * 
-   * You can transmit Uint8Array objects with XMLHttpRequest using the
-   * send() function.
-   * 
-   * The provided string must contain validly paired surrogates and may
-   * not start with the codepoint 0xFEFF, which could be confused for a
-   * byte order mark.  If an empty string is passed, it will be 
-   * automatically replaced by a string with a single space character.
-   * 
-   * This function always encodes to UTF-8 without a byte order mark.
+   * Get the table of additional named entities from a Parser options
+   * object.
    * 
-   * An exception is thrown in case of encoding error.
+   * The table combines the HTML5 named character references, if the
+   * htmlEntities option is true, with the custom entities given by the
+   * entities option, which take precedence.  Custom entity names must
+   * be valid entity names that are not predefined by XML, and their
+   * values must be strings.
    * 
    * Parameters:
    * 
-   *   str - the Unicode string to encode
+   *   options - the options object
    * 
    * Return:
    * 
-   *   a Uint8Array containing the encoded string
+   *   object mapping entity names to their values, or null if there
+   *   are no additional entities
    */
-  function writeFullText(str) {
+  function entityOption(options) {
     // Check parameters
-    if (typeof str !== "string") {
+    if (typeof options !== "object") {
       throw new Error();
     }
     
-    // If string is empty, add a single space
-    if (str.length < 1) {
-      str = " ";
-    }
-    
-    // Check for invalid surrogate pairs
-    RX_INVALID_PAIRS_1.lastIndex = 0;
-    RX_INVALID_PAIRS_2.lastIndex = 0;
-    RX_INVALID_PAIRS_3.lastIndex = 0;
-    
-    if (RX_INVALID_PAIRS_1.test(str) ||
-        RX_INVALID_PAIRS_2.test(str) ||
-        RX_INVALID_PAIRS_3.test(str)) {
-      throw new Error("Improperly paired surrogates");
+    // Start with the HTML5 table if requested
+    let result = null;
+    if (flagOption(options, "htmlEntities")) {
+      result = Object.assign({}, html5Entities());
     }
     
-    if (str.startsWith("\ufeff")) {
-      throw new Error("String starts with BOM codepoint");
+    // Add the custom entities, which are only the own properties of the
+    // entities option
+    const ents = options.entities;
+    if ((ents !== undefined) && (ents !== null)) {
+      if ((typeof ents !== "object") || Array.isArray(ents)) {
+        throw new Error("Invalid parser option: entities");
+      }
+      if (result === null) {
+        result = {};
+      }
+      const names = Object.keys(ents);
+      for(let i = 0; i < names.length; i++) {
+        const k = names[i];
+        RX_ENT_ESC_NAMED.lastIndex = 0;
+        if ((!RX_ENT_ESC_NAMED.test("&" + k + ";")) ||
+            Object.prototype.hasOwnProperty.call(XML_ENTITIES, k) ||
+            (typeof ents[k] !== "string")) {
+          throw new Error("Invalid parser option: entities");
+        }
+        result[k] = ents[k];
+      }
     }
     
-    // Encode the string
-    const tenc = new TextEncoder();
-    return tenc.encode(str);
+    return result;
   }
   
   /*
-   * Apply entity escaping to input text.
-   * 
-   * The first parameter is always the unescaped source string.
+   * Remove the "." and ".." segments from the path of a URI, following
+   * section 5.2.4 of RFC 3986.
    * 
-   * The second parameter is an integer in range 0 to 2.  The value zero
-   * means escaping should be performed for content text between element
-   * tags.  The value one means escaping should be performed for a
-   * single-quoted attribute value.  The value two means escaping should
-   * be performed for a double-quoted attribute value.
+   * Unlike RFC 3986, which only deals with absolute paths, ".."
+   * segments at the start of a relative path are kept, since they still
+   * refer to a parent of whatever the path is later resolved against.
    * 
-   * The entity escapes are as follow:
+   * Parameters:
    * 
-   *   &amp;  for literal &
-   *   &lt;   for literal <
-   *   &gt;   for literal >
-   *   &quot; for literal "
-   *   &apos; for literal '
+   *   path - the path
    * 
-   * The ampersand and angle escapes are used in all escaping styles.
-   * The double quote escape is only used if the second parameter is set
-   * to 2.  The single quote escape is only used if the second parameter
-   * is set to 1.
+   * Return:
    * 
-   * This function does not verify that all codepoints are valid.  It
-   * merely performs the appropriate substitutions.  The return value is
-   * the escaped string.
+   *   the path with dot segments removed
+   */
+  function removeDotSegments(path) {
+    // Check parameters
+    if (typeof path !== "string") {
+      throw new Error();
+    }
+    
+    // Rebuild the path segment by segment, where a ".." segment drops
+    // the previous segment if there is one to drop; a dot segment at
+    // the end leaves the path ending in a slash
+    const segs = path.split("/");
+    const absolute = path.startsWith("/");
+    const result = [];
+    for(let i = 0; i < segs.length; i++) {
+      const seg  = segs[i];
+      const last = (i === segs.length - 1);
+      
+      if (seg === ".") {
+        if (last) {
+          result.push("");
+        }
+      
+      } else if (seg === "..") {
+        const floor = absolute ? 1 : 0;
+        if ((result.length > floor) &&
+            (result[result.length - 1] !== "..")) {
+          result.pop();
+        } else if (!absolute) {
+          result.push("..");
+        }
+        if (last) {
+          result.push("");
+        }
+      
+      } else {
+        result.push(seg);
+      }
+    }
+    
+    return result.join("/");
+  }
+  
+  /*
+   * Resolve a URI reference against a base URI that URL can't resolve
+   * against, such as a relative base URI, following section 5.2.2 of
+   * RFC 3986.
    * 
    * Parameters:
    * 
-   *   str - the unescaped input string
+   *   ref - the URI reference
    * 
-   *   style - an integer selecting the escaping style
+   *   base - the base URI
    * 
    * Return:
    * 
-   *   the escaped string
+   *   the resolved URI reference
    */
-  function escapeText(str, style) {
+  function mergeURI(ref, base) {
     // Check parameters
-    if (typeof str !== "string") {
+    if ((typeof ref !== "string") || (typeof base !== "string")) {
       throw new Error();
     }
-    if (!isInteger(style)) {
-      throw new Error();
-    }
-    if ((style < 0) || (style > 2)) {
-      throw new Error();
+    
+    // Split the reference and the base into their components
+    RX_SPLIT_URI.lastIndex = 0;
+    const r = RX_SPLIT_URI.exec(ref);
+    RX_SPLIT_URI.lastIndex = 0;
+    const b = RX_SPLIT_URI.exec(base);
+    
+    // A reference with a scheme is not relative to anything
+    if (r[1] !== undefined) {
+      return ref;
     }
     
-    // Perform ampersand replacement first
-    str = str.replaceAll("&", "&amp;");
+    // Determine the components of the target
+    let auth  = b[2];
+    let path  = null;
+    let query = r[4];
+    if (r[2] !== undefined) {
+      auth = r[2];
+      path = removeDotSegments(r[3]);
+    
+    } else if (r[3] === "") {
+      path = b[3];
+      if (query === undefined) {
+        query = b[4];
+      }
     
-    // Perform special replacements
-    if (style === 2) {
-      str = str.replaceAll("\"", "&quot;");
+    } else if (r[3].startsWith("/")) {
+      path = removeDotSegments(r[3]);
     
-    } else if (style === 1) {
-      str = str.replaceAll("'", "&apos;");
-    }
+    } else if ((b[2] !== undefined) && (b[3] === "")) {
+      path = removeDotSegments("/" + r[3]);
     
-    // Perform regular non-ampersand replacements
-    str = str.replaceAll("<", "&lt;");
-    str = str.replaceAll(">", "&gt;");
+    } else {
+      path = removeDotSegments(
+              b[3].slice(0, b[3].lastIndexOf("/") + 1) + r[3]);
+    }
     
-    // Return escaped string
-    return str;
+    // Recompose the target
+    let result = "";
+    if (b[1] !== undefined) {
+      result = result + b[1] + ":";
+    }
+    if (auth !== undefined) {
+      result = result + "//" + auth;
+    }
+    result = result + path;
+    if (query !== undefined) {
+      result = result + "?" + query;
+    }
+    if (r[5] !== undefined) {
+      result = result + "#" + r[5];
+    }
+    return result;
   }
   
   /*
-   * Encode a Unicode string into UTF-8 encoded in Base64.
-   * 
-   * Each character in the string must be a codepoint in range 0x0 to
-   * 0x10FFFF, excluding the surrogate range 0xd800 to 0xdfff.
-   * 
-   * An empty string is acceptable, and will result in an empty string
-   * being returned.
-   * 
-   * The Base64 style used here has + and / as the last two digits and
-   * uses = for end padding to make sure the total number of Base64
-   * digits mod 4 is zero.
+   * Resolve a URI reference against a base URI.
    * 
-   * No whitespace or line breaking will be added to the Base64 result
-   * string.
+   * Absolute base URIs are resolved with URL.  Relative base URIs are
+   * merged with the reference following RFC 3986, so that the result
+   * is still relative but can be resolved further later.  If there is
+   * no base URI, or if resolution fails, the reference is returned as
+   * it is.
    * 
    * Parameters:
    * 
-   *   str - the string to encode
+   *   ref - the URI reference
+   * 
+   *   base - the base URI, or null
    * 
    * Return:
    * 
-   *   the base64 encoding of the string in UTF-8
+   *   the resolved URI
    */
-  function toText64(str) {
+  function resolveURI(ref, base) {
     // Check parameters
-    if (typeof str !== "string") {
+    if (typeof ref !== "string") {
       throw new Error();
     }
-    
-    // Empty string has empty result
-    if (str.length < 1) {
-      return "";
-    }
-    
-    // Check that codepoints are valid
-    RX_VALID_UNICODE.lastIndex = 0;
-    if (!RX_VALID_UNICODE.test(str)) {
-      throw new Error("String has invalid codepoints");
+    if ((base !== null) && (typeof base !== "string")) {
+      throw new Error();
     }
     
-    // Encode string to binary UTF-8
-    const tenc = new TextEncoder();
-    const ubuf = tenc.encode(str);
-    
-    // Result starts out empty
-    let result = "";
-    
-    // Encode groups of up to three bytes into four Base64 characters
-    for(let i = 0; i < ubuf.length; i += 3) {
-      // Get current group
-      let a = ubuf[i];
-      let b = null;
-      let c = null;
-      
-      if (i <= ubuf.length - 3) {
-        b = ubuf[i + 1];
-        c = ubuf[i + 2];
-      
-      } else if (i <= ubuf.length - 2) {
-        b = ubuf[i + 1];
-      }
-      
-      // Combine into a single integer value, with unused bytes filled
-      // with zero
-      let ival = a << 16;
-      if (b !== null) {
-        ival = ival | (b << 8);
-      }
-      if (c !== null) {
-        ival = ival | c;
-      }
-      
-      // Always encode at least two Base64 digits of the group to cover
-      // at least the first byte
-      result = result + BASE64_DIGITS[ival >> 18];
-      result = result + BASE64_DIGITS[(ival >> 12) & 0x3f];
-      
-      // Encode third Base64 digit if at least two bytes, else pad
-      if (b !== null) {
-        result = result + BASE64_DIGITS[(ival >> 6) & 0x3f];
+    // Resolve, falling back to merging with a base that URL can't
+    // handle, or to the reference on failure
+    try {
+      if (base !== null) {
+        return new URL(ref, base).href;
       } else {
-        result = result + "=";
+        return new URL(ref).href;
       }
-      
-      // Encode fourth Base64 digit if all three bytes, else pad
-      if (c !== null) {
-        result = result + BASE64_DIGITS[ival & 0x3f];
-      } else {
-        result = result + "=";
+    } catch (e) {
+      if (base !== null) {
+        return mergeURI(ref, base);
       }
+      return ref;
     }
-    
-    // Return result
-    return result;
   }
   
   /*
-   * Decode a Unicode string from UTF-8 encoded in Base64.
+   * Check the options object of a typed attribute accessor, replacing
+   * undefined with an empty object.
    * 
-   * Spaces, tabs, carriage returns, and line feeds will automatically
-   * be filtered out of the given string.
+   * Parameters:
    * 
-   * After whitespace filtering, the string must only contain Base64
-   * digits, where + and / are the last two digits.  The total number of
-   * Base64 digits must be a multiple of four, with = used as padding if
-   * necessary at the end.  An empty string after whitespace filtering
-   * is acceptable, which will produce an empty result.
+   *   opts - the options object, or undefined
    * 
-   * The result string is verified to only contain codepoints in range
-   * 0x0 to 0x10FFFF, excluding the surrogate range 0xd800 to 0xdfff.
+   * Return:
+   * 
+   *   the options object
+   */
+  function typedOptions(opts) {
+    if (opts === undefined) {
+      return {};
+    }
+    if ((typeof opts !== "object") || (opts === null)) {
+      throw new Error();
+    }
+    if (((opts.min !== undefined) && (typeof opts.min !== "number")) ||
+        ((opts.max !== undefined) && (typeof opts.max !== "number"))) {
+      throw new Error();
+    }
+    return opts;
+  }
+  
+  /*
+   * Check a number against the "min" and "max" properties of the
+   * options object of a typed attribute accessor.
    * 
    * Parameters:
    * 
-   *   str - the base64 string to decode
+   *   xml - the Parser
+   * 
+   *   name - the local attribute name
+   * 
+   *   v - the number
+   * 
+   *   opts - the options object
    * 
    * Return:
    * 
-   *   the decoded string
+   *   the number
    */
-  function fromText64(str) {
-    // Check parameters
-    if (typeof str !== "string") {
-      throw new Error();
+  function checkRange(xml, name, v, opts) {
+    if ((opts.min !== undefined) && (v < opts.min)) {
+      throw xml._attrErr(name, "must be at least " + opts.min);
     }
+    if ((opts.max !== undefined) && (v > opts.max)) {
+      throw xml._attrErr(name, "must be at most " + opts.max);
+    }
+    return v;
+  }
+  
+  /*
+   * Normalize text in the same way as the Parser, verifying that it
+   * only has valid codepoints.
+   * 
+   * Parameters:
+   * 
+   *   str - the text to normalize
+   * 
+   * Return:
+   * 
+   *   the normalized text
+   */
+  function writerText(str) {
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    if (!validString(str)) {
+      throw new Error("Text contains invalid codepoints");
+    }
+    return breakNorm(str).normalize("NFC");
+  }
+  
+  /*
+   * Normalize an attribute value in the same way as the Parser,
+   * verifying that it only has valid codepoints, and then escape and
+   * quote it for writing.
+   * 
+   * Double quotes are used unless the value contains more double quotes
+   * than single quotes, so that the shortest escaping is used.
+   * 
+   * Parameters:
+   * 
+   *   str - the attribute value
+   * 
+   * Return:
+   * 
+   *   the quoted attribute value
+   */
+  function attrValue(str) {
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    str = wsCompress(writerText(str)).normalize("NFC");
     
-    // Drop whitespace
-    RX_MATCH_WS.lastIndex = 0;
-    str = str.replaceAll(RX_MATCH_WS, "");
-    
-    // Empty filtered string has empty result
-    if (str.length < 1) {
+    const dq = str.split("\"").length;
+    const sq = str.split("'").length;
+    if (dq > sq) {
+      return "'" + escapeText(str, 1) + "'";
+    } else {
+      return "\"" + escapeText(str, 2) + "\"";
+    }
+  }
+  
+  /*
+   * Check that a local name is valid for the Writer.
+   * 
+   * Parameters:
+   * 
+   *   name - the local name
+   */
+  function writerName(name) {
+    if (typeof name !== "string") {
+      throw new Error();
+    }
+    if ((!validName(name)) || (name.indexOf(":") >= 0)) {
+      throw new Error("Invalid name: " + name);
+    }
+  }
+  
+  /*
+   * Public functions
+   * ================
+   */
+  
+  /*
+   * Determine whether the given value is an integer.
+   * 
+   * Parameters:
+   * 
+   *   val - the value to check
+   * 
+   * Return:
+   * 
+   *   true if value is an integer, false otherwise
+   */
+  function isInteger(val) {
+    if (typeof val !== "number") {
+      return false;
+    }
+    if (Math.floor(val) !== val) {
+      return false;
+    }
+    return true;
+  }
+  
+  /*
+   * Check whether a given integer value is a valid Unicode codepoint
+   * that can be used within LeafXML.
+   * 
+   * Parameters:
+   * 
+   *   c - integer value to check
+   * 
+   * Return:
+   * 
+   *   true if valid codepoint value, false otherwise
+   */
+  function validCode(c) {
+    if (!isInteger(c)) {
+      throw new Error();
+    }
+    
+    let result = false;
+    if ((c === 0x9) || (c === 0xa) || (c == 0xd) ||
+        ((c >= 0x20) && (c <= 0x7e)) ||
+        (c === 0x85) ||
+        ((c >= 0xa0) && (c <= 0xd7ff)) ||
+        ((c >= 0xe000) && (c <= 0xfdcf)) ||
+        ((c >= 0xfdf0) && (c <= 0x10fffd))) {
+      
+      if ((c & 0xffff) < 0xfffe) {
+        result = true;
+      }
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Check whether a given string only contains codepoints that pass the
+   * validCode() function.  Empty strings do pass this function.
+   * 
+   * This function is optimized so that it does not actually invoke
+   * validCode() but rather uses a regular expression.
+   * 
+   * Parameters:
+   * 
+   *   str - the string to check
+   * 
+   * Return:
+   * 
+   *   true if only valid codepoints in string, false otherwise
+   */
+  function validString(str) {
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    RX_VALID_STR.lastIndex = 0;
+    return RX_VALID_STR.test(str);
+  }
+  
+  /*
+   * Check whether a given string qualifies as a valid XML name.  This
+   * function allows names to contain colons.
+   * 
+   * Parameters:
+   * 
+   *   str - the string to check
+   * 
+   * Return:
+   * 
+   *   true if name is valid, false otherwise
+   */
+  function validName(str) {
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    RX_VALID_NAME_1.lastIndex = 0;
+    RX_VALID_NAME_2.lastIndex = 0;
+    
+    if (RX_VALID_NAME_1.test(str) && RX_VALID_NAME_2.test(str)) {
+      return true;
+    } else {
+      return false;
+    }
+  }
+  
+  /*
+   * Read a whole binary ArrayBuffer into a Unicode string.
+   * 
+   * You can get ArrayBuffer objects from Blobs and Files by using a
+   * FileReader with the readAsArrayBuffer() method.
+   * 
+   * You can get ArrayBuffer objects from XMLHttpRequest by specifying
+   * "arraybuffer" as the responseType.
+   * 
+   * This function supports decoding UTF-8 with and without a byte order
+   * mark, and UTF-16 with a byte order mark.
+   * 
+   * An exception is thrown in case of decoding error.
+   * 
+   * Parameters:
+   * 
+   *   abuf - the ArrayBuffer to decode
+   * 
+   * Return:
+   * 
+   *   a decoded Unicode string
+   */
+  function readFullText(abuf) {
+    // Check parameters
+    if (!(abuf instanceof ArrayBuffer)) {
+      throw new Error();
+    }
+    
+    // If empty buffer, return empty string
+    if (abuf.byteLength < 1) {
       return "";
     }
     
-    // The state is -1 if no digit groups processed yet, 0 if only full
-    // digit groups have been processed, 1 or 2 if a partial group has
-    // been processed and this number of padding characters are
-    // expected, or 3 if padding characters have been processed
-    let state = -1;
+    // Get an unsigned byte view of the buffer
+    const ubuf = new Uint8Array(abuf);
     
-    // Result size starts as 3/4 length of filtered base64 string
-    let rsize = Math.floor(str.length / 4) * 3;
-    if (rsize < 3) {
-      rsize = 3;
+    // Determine the number of BOM bytes and the specific encoding by
+    // looking at the start of the buffer
+    const retval    = detectBOM(ubuf);
+    const bom_bytes = retval[0];
+    const enc_name  = retval[1];
+    
+    // If only thing that is present is a BOM, then return empty string
+    if (bom_bytes >= ubuf.length) {
+      return "";
     }
     
-    // Adjust result size based on padding
-    if (str.endsWith("==")) {
-      rsize -= 2;
-    } else if (str.endsWith("=")) {
-      rsize--;
+    // Set the data array to the same as the byte array if there is no
+    // BOM, and otherwise a subset excluding the BOM
+    let dbuf = ubuf;
+    if (bom_bytes > 0) {
+      dbuf = ubuf.subarray(bom_bytes);
     }
     
-    // Allocate the array for the decoded bytes, and start index at zero
-    const buf = new Uint8Array(rsize);
-    let buf_i = 0;
+    // Construct a text decoder with the appropriate encoding type and
+    // set it to throw exceptions in case of bad encodings and also to
+    // not process any BOM because we've already done BOM processing
+    // ourselves
+    const tdec = new TextDecoder(enc_name, {
+      "fatal": true,
+      "ignoreBOM": true
+    });
     
-    // Parse groups of base64 digits
-    RX_BASE64_TOKENS.lastIndex = 0;
-    for(let retval = RX_BASE64_TOKENS.exec(str);
-        retval !== null;
-        retval = RX_BASE64_TOKENS.exec(str)) {
-      
-      // Get current token
-      let token = retval[0];
-      
-      // If token is single codepoint that isn't =, then there was
-      // something invalid
-      if ((token.length <= 1) && (token !== "=")) {
-        throw new Error("Invalid Base64 string");
-      }
-      
-      // We shouldn't be here in state 3 because nothing should come
-      // after padding
-      if (state === 3) {
-        throw new Error("Invalid Base64 string");
-      }
-      
-      // If we are in states 1 or 2, we should have the proper padding
-      // token, and then update state and go to next token
-      if (state === 1) {
-        if (token !== "=") {
-          throw new Error("Invalid Base64 string");
-        }
-        state = 3;
-        continue;
-        
-      } else if (state === 2) {
-        if (token !== "==") {
-          throw new Error("Invalid Base64 string");
-        }
-        state = 3;
-        continue;
-      }
+    // Return decoded string
+    return tdec.decode(dbuf);
+  }
+  
+  /*
+   * Determine the encoding that readFullText() will use to decode the
+   * given binary file.
+   * 
+   * The encoding is detected from a byte order mark in the same way as
+   * readFullText().  The result can be passed as the encoding option
+   * when constructing a Parser around the decoded string, so that the
+   * encoding in the XML declaration can be checked.
+   * 
+   * Parameters:
+   * 
+   *   abuf - ArrayBuffer holding the binary file
+   * 
+   * Return:
+   * 
+   *   "utf-8", "utf-16le", or "utf-16be"
+   */
+  function detectEncoding(abuf) {
+    // Check parameters
+    if (!(abuf instanceof ArrayBuffer)) {
+      throw new Error();
+    }
+    
+    return detectBOM(new Uint8Array(abuf))[1];
+  }
+  
+  /*
+   * Encode a Unicode string into a binary Uint8Array.
+   * 
+   * You can construct Blobs around Uint8Array objects by specifying an
+   * array containing the Uint8Array to the Blob constructor.
+   * 
+   * You can transmit Uint8Array objects with XMLHttpRequest using the
+   * send() function.
+   * 
+   * The provided string must contain validly paired surrogates and may
+   * not start with the codepoint 0xFEFF, which could be confused for a
+   * byte order mark.  If an empty string is passed, it will be 
+   * automatically replaced by a string with a single space character.
+   * 
+   * This function always encodes to UTF-8 without a byte order mark.
+   * 
+   * An exception is thrown in case of encoding error.
+   * 
+   * Parameters:
+   * 
+   *   str - the Unicode string to encode
+   * 
+   * Return:
+   * 
+   *   a Uint8Array containing the encoded string
+   */
+  function writeFullText(str) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    // If string is empty, add a single space
+    if (str.length < 1) {
+      str = " ";
+    }
+    
+    // Check for invalid surrogate pairs
+    RX_INVALID_PAIRS_1.lastIndex = 0;
+    RX_INVALID_PAIRS_2.lastIndex = 0;
+    RX_INVALID_PAIRS_3.lastIndex = 0;
+    
+    if (RX_INVALID_PAIRS_1.test(str) ||
+        RX_INVALID_PAIRS_2.test(str) ||
+        RX_INVALID_PAIRS_3.test(str)) {
+      throw new Error("Improperly paired surrogates");
+    }
+    
+    if (str.startsWith("\ufeff")) {
+      throw new Error("String starts with BOM codepoint");
+    }
+    
+    // Encode the string
+    const tenc = new TextEncoder();
+    return tenc.encode(str);
+  }
+  
+  /*
+   * Apply entity escaping to input text.
+   * 
+   * The first parameter is always the unescaped source string.
+   * 
+   * The second parameter is an integer in range 0 to 2.  The value zero
+   * means escaping should be performed for content text between element
+   * tags.  The value one means escaping should be performed for a
+   * single-quoted attribute value.  The value two means escaping should
+   * be performed for a double-quoted attribute value.
+   * 
+   * The entity escapes are as follow:
+   * 
+   *   &amp;  for literal &
+   *   &lt;   for literal <
+   *   &gt;   for literal >
+   *   &quot; for literal "
+   *   &apos; for literal '
+   * 
+   * The ampersand and angle escapes are used in all escaping styles.
+   * The double quote escape is only used if the second parameter is set
+   * to 2.  The single quote escape is only used if the second parameter
+   * is set to 1.
+   * 
+   * This function does not verify that all codepoints are valid.  It
+   * merely performs the appropriate substitutions.  The return value is
+   * the escaped string.
+   * 
+   * Parameters:
+   * 
+   *   str - the unescaped input string
+   * 
+   *   style - an integer selecting the escaping style
+   * 
+   * Return:
+   * 
+   *   the escaped string
+   */
+  function escapeText(str, style) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    if (!isInteger(style)) {
+      throw new Error();
+    }
+    if ((style < 0) || (style > 2)) {
+      throw new Error();
+    }
+    
+    // Perform ampersand replacement first
+    str = str.replaceAll("&", "&amp;");
+    
+    // Perform special replacements
+    if (style === 2) {
+      str = str.replaceAll("\"", "&quot;");
+    
+    } else if (style === 1) {
+      str = str.replaceAll("'", "&apos;");
+    }
+    
+    // Perform regular non-ampersand replacements
+    str = str.replaceAll("<", "&lt;");
+    str = str.replaceAll(">", "&gt;");
+    
+    // Return escaped string
+    return str;
+  }
+  
+  /*
+   * Encode a Unicode string into UTF-8 encoded in Base64.
+   * 
+   * Each character in the string must be a codepoint in range 0x0 to
+   * 0x10FFFF, excluding the surrogate range 0xd800 to 0xdfff.
+   * 
+   * An empty string is acceptable, and will result in an empty string
+   * being returned.
+   * 
+   * The Base64 style used here has + and / as the last two digits and
+   * uses = for end padding to make sure the total number of Base64
+   * digits mod 4 is zero.
+   * 
+   * No whitespace or line breaking will be added to the Base64 result
+   * string.
+   * 
+   * Parameters:
+   * 
+   *   str - the string to encode
+   * 
+   * Return:
+   * 
+   *   the base64 encoding of the string in UTF-8
+   */
+  function toText64(str) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    // Empty string has empty result
+    if (str.length < 1) {
+      return "";
+    }
+    
+    // Check that codepoints are valid
+    RX_VALID_UNICODE.lastIndex = 0;
+    if (!RX_VALID_UNICODE.test(str)) {
+      throw new Error("String has invalid codepoints");
+    }
+    
+    // Encode string to binary UTF-8
+    const tenc = new TextEncoder();
+    const ubuf = tenc.encode(str);
+    
+    // Result starts out empty
+    let result = "";
+    
+    // Encode groups of up to three bytes into four Base64 characters
+    for(let i = 0; i < ubuf.length; i += 3) {
+      // Get current group
+      let a = ubuf[i];
+      let b = null;
+      let c = null;
       
-      // If we got here, we should have Base64 group, not padding
-      if (token.startsWith("=")) {
-        throw new Error("Invalid Base64 string");
-      }
+      if (i <= ubuf.length - 3) {
+        b = ubuf[i + 1];
+        c = ubuf[i + 2];
       
-      // Update state based on length of Base64 group
-      if (token.length === 4) {
-        // Full group
-        state = 0;
-        
-      } else if (token.length === 3) {
-        // Partial group, need one padding char
-        state = 1;
-        
-      } else if (token.length === 2) {
-        // Partial group, need two padding chars
-        state = 2;
-        
-      } else {
-        throw new Error();
+      } else if (i <= ubuf.length - 2) {
+        b = ubuf[i + 1];
       }
       
-      // Get individual digits of token
-      let a = token.charCodeAt(0);
-      let b = token.charCodeAt(1);
-      let c = null;
-      let d = null;
-      
-      if (token.length >= 4) {
-        c = token.charCodeAt(2);
-        d = token.charCodeAt(3);
-      
-      } else if (token.length >= 3) {
-        c = token.charCodeAt(2);
+      // Combine into a single integer value, with unused bytes filled
+      // with zero
+      let ival = a << 16;
+      if (b !== null) {
+        ival = ival | (b << 8);
+      }
+      if (c !== null) {
+        ival = ival | c;
       }
       
-      // Always process the first two digits
-      let ival;
-      let z;
+      // Always encode at least two Base64 digits of the group to cover
+      // at least the first byte
+      result = result + BASE64_DIGITS[ival >> 18];
+      result = result + BASE64_DIGITS[(ival >> 12) & 0x3f];
+      
+      // Encode third Base64 digit if at least two bytes, else pad
+      if (b !== null) {
+        result = result + BASE64_DIGITS[(ival >> 6) & 0x3f];
+      } else {
+        result = result + "=";
+      }
+      
+      // Encode fourth Base64 digit if all three bytes, else pad
+      if (c !== null) {
+        result = result + BASE64_DIGITS[ival & 0x3f];
+      } else {
+        result = result + "=";
+      }
+    }
+    
+    // Return result
+    return result;
+  }
+  
+  /*
+   * Decode a Unicode string from UTF-8 encoded in Base64.
+   * 
+   * Spaces, tabs, carriage returns, and line feeds will automatically
+   * be filtered out of the given string.
+   * 
+   * After whitespace filtering, the string must only contain Base64
+   * digits, where + and / are the last two digits.  The total number of
+   * Base64 digits must be a multiple of four, with = used as padding if
+   * necessary at the end.  An empty string after whitespace filtering
+   * is acceptable, which will produce an empty result.
+   * 
+   * The result string is verified to only contain codepoints in range
+   * 0x0 to 0x10FFFF, excluding the surrogate range 0xd800 to 0xdfff.
+   * 
+   * Parameters:
+   * 
+   *   str - the base64 string to decode
+   * 
+   * Return:
+   * 
+   *   the decoded string
+   */
+  function fromText64(str) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    // Drop whitespace
+    RX_MATCH_WS.lastIndex = 0;
+    str = str.replaceAll(RX_MATCH_WS, "");
+    
+    // Empty filtered string has empty result
+    if (str.length < 1) {
+      return "";
+    }
+    
+    // The state is -1 if no digit groups processed yet, 0 if only full
+    // digit groups have been processed, 1 or 2 if a partial group has
+    // been processed and this number of padding characters are
+    // expected, or 3 if padding characters have been processed
+    let state = -1;
+    
+    // Result size starts as 3/4 length of filtered base64 string
+    let rsize = Math.floor(str.length / 4) * 3;
+    if (rsize < 3) {
+      rsize = 3;
+    }
+    
+    // Adjust result size based on padding
+    if (str.endsWith("==")) {
+      rsize -= 2;
+    } else if (str.endsWith("=")) {
+      rsize--;
+    }
+    
+    // Allocate the array for the decoded bytes, and start index at zero
+    const buf = new Uint8Array(rsize);
+    let buf_i = 0;
+    
+    // Parse groups of base64 digits
+    RX_BASE64_TOKENS.lastIndex = 0;
+    for(let retval = RX_BASE64_TOKENS.exec(str);
+        retval !== null;
+        retval = RX_BASE64_TOKENS.exec(str)) {
+      
+      // Get current token
+      let token = retval[0];
+      
+      // If token is single codepoint that isn't =, then there was
+      // something invalid
+      if ((token.length <= 1) && (token !== "=")) {
+        throw new Error("Invalid Base64 string");
+      }
+      
+      // We shouldn't be here in state 3 because nothing should come
+      // after padding
+      if (state === 3) {
+        throw new Error("Invalid Base64 string");
+      }
+      
+      // If we are in states 1 or 2, we should have the proper padding
+      // token, and then update state and go to next token
+      if (state === 1) {
+        if (token !== "=") {
+          throw new Error("Invalid Base64 string");
+        }
+        state = 3;
+        continue;
+        
+      } else if (state === 2) {
+        if (token !== "==") {
+          throw new Error("Invalid Base64 string");
+        }
+        state = 3;
+        continue;
+      }
+      
+      // If we got here, we should have Base64 group, not padding
+      if (token.startsWith("=")) {
+        throw new Error("Invalid Base64 string");
+      }
+      
+      // Update state based on length of Base64 group
+      if (token.length === 4) {
+        // Full group
+        state = 0;
+        
+      } else if (token.length === 3) {
+        // Partial group, need one padding char
+        state = 1;
+        
+      } else if (token.length === 2) {
+        // Partial group, need two padding chars
+        state = 2;
+        
+      } else {
+        throw new Error();
+      }
+      
+      // Get individual digits of token
+      let a = token.charCodeAt(0);
+      let b = token.charCodeAt(1);
+      let c = null;
+      let d = null;
+      
+      if (token.length >= 4) {
+        c = token.charCodeAt(2);
+        d = token.charCodeAt(3);
+      
+      } else if (token.length >= 3) {
+        c = token.charCodeAt(2);
+      }
+      
+      // Always process the first two digits
+      let ival;
+      let z;
       
       z = BASE64_LOOKUP[a - 0x21];
       if (z < 0) {
@@ -1164,1412 +2510,6396 @@ window.LeafXML = (function() {
         buf_i++;
       }
     }
-    
-    // The only valid finish states are 0 (only full digit groups) or 3
-    // (padding characters processed)
-    if ((state !== 0) && (state !== 3)) {
-      throw new Error("Invalid Base64 string");
+    
+    // The only valid finish states are 0 (only full digit groups) or 3
+    // (padding characters processed)
+    if ((state !== 0) && (state !== 3)) {
+      throw new Error("Invalid Base64 string");
+    }
+    
+    // We now have a binary string, so decode it with UTF-8
+    const tdec = new TextDecoder("utf-8", {
+      "fatal": true,
+      "ignoreBOM": true
+    });
+    
+    let result;
+    try {
+      result = tdec.decode(buf);
+    } catch (ex) {
+      throw new Error("Invalid UTF-8 encoding within Base64");
+    }
+    
+    // Check that codepoints are valid
+    RX_VALID_UNICODE.lastIndex = 0;
+    if (!RX_VALID_UNICODE.test(result)) {
+      throw new Error("String has invalid codepoints");
+    }
+    
+    // Return decoded string
+    return result;
+  }
+  
+  /*
+   * ParserFault class
+   * =================
+   * 
+   * This simple class stores a parsing error message as a string, along
+   * with structured information about the error, such as a machine
+   * readable error code and the position in the XML file where the
+   * error occurred.
+   * 
+   * Instances of this class are thrown instead of Error when a parsing
+   * error occurs.  This allows clients to distinguish between parsing
+   * errors and all other kinds of errors.
+   * 
+   * This class has a message property and a toString() implementation
+   * so that it works the same way as Error in most cases.  The message
+   * is the full formatted error message, including the source name and
+   * position.
+   * 
+   * The code property is a stable error code string such as
+   * "TAG_PAIRING", or null if there is no code.  See the API
+   * documentation for the full list of error codes.  The same codes are
+   * used by the Perl implementation.
+   * 
+   * The sourceName property is the data source name that was set on
+   * the parser, or null if there was none.
+   * 
+   * The line, column, and offset properties hold the position of the
+   * error, or they are all null if no position is available.  See the
+   * Parser lineNumber(), columnNumber(), and offset() functions for the
+   * meaning of these values.
+   * 
+   * The detail property is the error message without the source name
+   * and position.  If not given, it is the same as the message.
+   * 
+   * For "TAG_PAIRING" and "UNCLOSED_TAGS" errors, the expected property
+   * is the element name that was expected to be closed and the actual
+   * property is the element name that was actually closed.  Either may
+   * be null, and both are null for all other errors.  These element
+   * names are given exactly as they appear in the XML, including any
+   * namespace prefix.
+   * 
+   * The info parameter of the constructor is an optional object that
+   * may have any of the properties code, sourceName, line, column,
+   * offset, detail, expected, and actual.  Missing properties are set
+   * to their defaults.
+   */
+  
+  function ParserFault(message, info) {
+    if (typeof message !== "string") {
+      throw new Error();
+    }
+    if ((info === undefined) || (info === null)) {
+      info = {};
+    }
+    if (typeof info !== "object") {
+      throw new Error();
+    }
+    
+    const field = function(k) {
+      return ((info[k] === undefined) ? null : info[k]);
+    };
+    
+    this.message    = message;
+    this.code       = field("code");
+    this.sourceName = field("sourceName");
+    this.line       = field("line");
+    this.column     = field("column");
+    this.offset     = field("offset");
+    this.detail     = (typeof info.detail === "string")
+                        ? info.detail : message;
+    this.expected   = field("expected");
+    this.actual     = field("actual");
+  }
+  
+  ParserFault.prototype.toString = function() {
+    return "ParserFault: " + this.message;
+  };
+  
+  /*
+   * Constructor
+   * ===========
+   */
+  
+  /*
+   * Construct a LeafXML parser that will parse a full XML file given as
+   * a string.
+   * 
+   * If the string is omitted or null, the parser is constructed in push
+   * mode instead.  In push mode, the XML file is provided in chunks by
+   * calling feed() or feedBytes() and the end of input is indicated by
+   * calling end().
+   * 
+   * The XML file may also be given in binary form, either as a whole
+   * ArrayBuffer or Uint8Array, or as an iterable object such as an
+   * array or a generator that yields a sequence of Uint8Array chunks.
+   * Binary input is decoded incrementally as parsing proceeds, using
+   * the same byte order mark detection as readFullText().
+   * 
+   * The optional options parameter is an object that may have the
+   * following properties:
+   * 
+   *   recover - if true, parsing errors are recorded in the list
+   *   returned by faults() and parsing continues, instead of throwing
+   *   the first error; defaults to false
+   * 
+   *   comments - if true, comments are reported as events; defaults
+   *   to false
+   * 
+   *   instructions - if true, processing instructions are reported as
+   *   events; defaults to false
+   * 
+   *   doctype - if true, DOCTYPE declarations are reported as events;
+   *   defaults to false
+   * 
+   *   skipBlank - if true, content text events that only contain
+   *   spaces, tabs, and line feeds are dropped; defaults to false
+   * 
+   *   honorSpace - if true, skipBlank does not drop text within an
+   *   element where xml:space="preserve" is in effect; defaults to
+   *   false
+   * 
+   *   entities - an object mapping additional entity names to the
+   *   strings they stand for; the five entities predefined by XML
+   *   cannot be redefined
+   * 
+   *   htmlEntities - if true, the HTML5 named character references are
+   *   recognized in addition to the predefined entities; defaults to
+   *   false
+   * 
+   *   preserve - if true, starting element events also record the
+   *   original qualified name and prefix of the element and an ordered
+   *   list of all the attributes as written; defaults to false
+   * 
+   *   checkEncoding - if true, a parsing error occurs when the XML
+   *   declaration can't be parsed or the encoding it declares conflicts
+   *   with the actual encoding of the input; defaults to false
+   * 
+   *   encoding - for string input, the name of the encoding that the
+   *   string was decoded from, which is used by checkEncoding; if
+   *   omitted, no check is made for string input
+   * 
+   *   baseURI - the URI of the document, which is used to resolve
+   *   relative xml:base values; if omitted, relative xml:base values
+   *   at the top level are left as they are
+   * 
+   *   limits - an object that overrides any of the resource limits in
+   *   DEFAULT_LIMITS; each limit must be a positive integer, or
+   *   Infinity to remove the limit
+   * 
+   * Parameters:
+   * 
+   *   str - a string containing the whole XML file to parse, undefined
+   *   or null for push mode, or the binary XML file
+   * 
+   *   options - (optional) an object with parser options
+   */
+  function Parser(str, options) {
+    // Check parameters and separate out binary sources
+    if (str === undefined) {
+      str = null;
+    }
+    if ((options === undefined) || (options === null)) {
+      options = {};
+    }
+    if (typeof options !== "object") {
+      throw new Error();
+    }
+    
+    const limits = Object.assign({}, DEFAULT_LIMITS);
+    if ((options.limits !== undefined) && (options.limits !== null)) {
+      if (typeof options.limits !== "object") {
+        throw new Error();
+      }
+      const names = Object.keys(options.limits);
+      for(let i = 0; i < names.length; i++) {
+        const k = names[i];
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, k)) {
+          throw new Error("Unknown parser limit: " + k);
+        }
+        const v = options.limits[k];
+        if (!((isInteger(v) && (v > 0)) || (v === Infinity))) {
+          throw new Error("Invalid parser limit: " + k);
+        }
+        limits[k] = v;
+      }
+    }
+    
+    let src = null;
+    if (str instanceof ArrayBuffer) {
+      str = new Uint8Array(str);
+    }
+    if (str instanceof Uint8Array) {
+      src = chunkBytes(str);
+      str = null;
+      
+    } else if ((str !== null) && (typeof str !== "string")) {
+      if ((typeof str !== "object") ||
+          (typeof str[Symbol.iterator] !== "function")) {
+        throw new Error();
+      }
+      src = str[Symbol.iterator]();
+      str = null;
+    }
+    
+    // _str stores the XML input that has not been consumed yet
+    //
+    // In push mode, consumed input is dropped from the front of this
+    // string each time a new chunk is fed.
+    //
+    this._str = (str !== null) ? str : "";
+    
+    // _pos is the index in _str where the next token begins
+    this._pos = 0;
+    
+    // _held is null unless a token at the end of _str is being held
+    // back in push mode and it is known what input can complete it; in
+    // that case, it is an array of the chunks fed since then, which are
+    // only joined onto _str once the token might be completed, so that
+    // long tokens are not scanned and copied again with each chunk
+    //
+    // _htext is true if the held token is text and false if it is
+    // markup.  _hlen is the length of the held token including the
+    // chunks in _held.  _hstop is an array of the strings that might
+    // complete the held token, and _htail is the end of the held input
+    // that might be the start of one of them.  _hend is true once one
+    // of those strings has been fed.
+    //
+    this._held  = null;
+    this._htext = false;
+    this._hlen  = 0;
+    this._hstop = [];
+    this._htail = "";
+    this._hend  = false;
+    
+    // _eof is set to true once no further input will be added to _str
+    this._eof = (str !== null);
+    
+    // _src is the iterator over binary chunks that the parser pulls
+    // input from, or null if input is not being pulled from a binary
+    // source
+    this._src = src;
+    
+    // _bmode is null if no input has been fed yet, true if input is
+    // binary, or false if input is string
+    this._bmode = (src !== null) ? true : null;
+    
+    // _tdec is the streaming TextDecoder for binary input, or null if
+    // it has not been determined yet
+    this._tdec = null;
+    
+    // _bhead holds the bytes at the start of binary input that have
+    // been held back until there are enough to check for a byte order
+    // mark
+    this._bhead = new Uint8Array(0);
+    
+    // _rx stores a instance of the tokenizer regular expression that is
+    // specific to this parser instance
+    this._rx = new RegExp(RXS_READ_TOKEN, "usg");
+    
+    // _sname stores the data source name, or null if not defined
+    this._sname = null;
+    
+    // _recover is true if the parser is in recovery mode, in which
+    // parsing errors are recorded in _faults and parsing continues
+    this._recover = flagOption(options, "recover");
+    
+    // _ecomment, _einstr, and _edoctype are true if events are enabled
+    // for comments, processing instructions, and DOCTYPE declarations,
+    // respectively
+    this._ecomment = flagOption(options, "comments");
+    this._einstr   = flagOption(options, "instructions");
+    this._edoctype = flagOption(options, "doctype");
+    
+    // _skipblank is true if whitespace-only content text should be
+    // dropped, and _honorsp is true if xml:space="preserve" overrides
+    // this
+    this._skipblank = flagOption(options, "skipBlank");
+    this._honorsp   = flagOption(options, "honorSpace");
+    
+    // _ents maps the names of additional entities to their values, or
+    // is null if there are none
+    this._ents = entityOption(options);
+    
+    // _preserve is true if original names and attribute lists should
+    // be recorded in starting element events
+    this._preserve = flagOption(options, "preserve");
+    
+    // _exact is true if attribute values, content text, comments, and
+    // instruction data should be kept as XML itself defines them,
+    // without the whitespace compression, NFC normalization, and line
+    // break normalization of escaped codepoints that LeafXML adds; it
+    // is selected by the internal EXACT_MODE option
+    this._exact = (options[EXACT_MODE] === true);
+    
+    // _chkenc is true if the declared encoding should be checked, and
+    // _encoding is the encoding that string input was decoded from, or
+    // null if not known
+    this._chkenc   = flagOption(options, "checkEncoding");
+    this._encoding = stringOption(options, "encoding");
+    
+    // _xver, _xenc, and _xsa are the version, encoding, and standalone
+    // declaration from the XML declaration, or null if not declared
+    //
+    // _xsa is a boolean if declared.
+    //
+    this._xver = null;
+    this._xenc = null;
+    this._xsa  = null;
+    
+    // _faults is the list of ParserFault objects recorded so far in
+    // recovery mode
+    this._faults = [];
+    
+    // _limits holds the resource limits, with the same properties as
+    // DEFAULT_LIMITS
+    this._limits = limits;
+    
+    // _ntok is the number of tokens read so far
+    this._ntok = 0;
+    
+    // _done is set to true once parsing is complete
+    this._done = false;
+    
+    // _lnum is the current line number in the XML file, _col is the
+    // current column number within that line, and _off is the current
+    // offset from the start of the XML file
+    //
+    // Columns and offsets are counted in UTF-16 code units, with the
+    // first column being column 1 and the first offset being zero.
+    //
+    this._lnum = 1;
+    this._col  = 1;
+    this._off  = 0;
+    
+    // _tok is the most recent token read by _readToken(), or null if
+    // none yet.
+    //
+    // This is an array of three elements: the position the token began
+    // at, the token after line break normalization, and the token as it
+    // appeared in the input.  It allows the position of errors detected
+    // within the token to be determined.
+    //
+    // Positions are always arrays of three elements, which are the line
+    // number, the column number, and the offset.
+    //
+    this._tok = null;
+    
+    // _buf is the event buffer.
+    //
+    // Each element is an object with the following properties:
+    //
+    //   type - 1 for starting tag, 0 for content, -1 for ending tag,
+    //          2 for comment, 3 for processing instruction, 4 for
+    //          DOCTYPE declaration
+    //   pos  - the position the event begins at
+    //   end  - the position just after the event
+    //
+    // Starting tag events also have the following properties:
+    //
+    //   name - element name
+    //   ns   - element namespace, or null
+    //   attr - attribute map object
+    //   ext  - external attribute map object
+    //
+    // Content text events also have the following property:
+    //
+    //   text - the decoded content text
+    //
+    // Comment events also have the following property:
+    //
+    //   text - the comment text
+    //
+    // Processing instruction events also have the following
+    // properties:
+    //
+    //   target - the instruction target
+    //   data   - the instruction data
+    //
+    // DOCTYPE events also have the following properties:
+    //
+    //   name - the root element name
+    //   pub  - the public ID, or null
+    //   sys  - the system ID, or null
+    //
+    this._buf = [];
+    
+    // _cur is the current loaded element, or null if none.
+    //
+    // Has the same format as the elements in the event buffer.
+    //
+    this._cur = null;
+    
+    // _content is the content assembly that is being built, or null if
+    // there is none in progress.  _cpos is the position the content
+    // assembly began at and _cend is the position just after its last
+    // token, or both are null.
+    //
+    // These are stored in the parser rather than in readEvent() because
+    // in push mode a content assembly may span multiple input chunks.
+    //
+    this._content = null;
+    this._cpos    = null;
+    this._cend    = null;
+    
+    // _tstate is the tag state.
+    //
+    // 1 means initial state, 0 means active state, -1 means finished
+    // state.
+    //
+    this._tstate = 1;
+    
+    // _tstack is the tag stack.
+    //
+    // Each starting element pushes the element name onto the tag stack.
+    // Each ending element pops an element name off the tag stack, after
+    // verifying it matches.
+    //
+    this._tstack = [];
+    
+    // _estack runs parallel to the tag stack and holds the starting
+    // element event of each open element, so that ending element events
+    // can be given the same name and namespace
+    this._estack = [];
+    
+    // _nstack is the namespace stack.
+    //
+    // This stack is never empty.  The element on top is an object that
+    // maps prefixes to namespace values.  If the empty string is used
+    // as a prefix, it sets up a default element namespace.
+    //
+    // The stack starts out with the "xml" and "xmlns" prefixes defined.
+    //
+    this._nstack = [
+      {
+        "xml"   : "http://www.w3.org/XML/1998/namespace",
+        "xmlns" : "http://www.w3.org/2000/xmlns/"
+      }
+    ];
+    
+    // _path is the element path of the current event.
+    //
+    // Unlike the tag stack, which runs ahead as events are buffered,
+    // this is only updated as events are read by clients.  Each element
+    // is an object with "ns" and "name" properties.  Starting element
+    // events push onto the path.  The element of an ending element
+    // event stays on the path until the next event is read, which is
+    // indicated by _ppop.
+    //
+    this._path = [];
+    this._ppop = false;
+    
+    // _pctx runs parallel to the element path and holds the namespace
+    // context of each element on the path, which is an object mapping
+    // prefixes to namespace values in the same way as the namespace
+    // stack
+    this._pctx = [];
+    
+    // _pxml runs parallel to the element path and holds the inherited
+    // xml:lang, xml:space, and xml:base values of each element on the
+    // path, as an object with properties "lang", "space", and "base"
+    // that are null if not in effect
+    //
+    // _xbase is the base URI of the document given by the baseURI
+    // option, or null.
+    //
+    this._pxml  = [];
+    this._xbase = stringOption(options, "baseURI");
+    
+    // _sub is the state of a pending skipElement() or captureElement()
+    // call that needed more input, or null if there is none
+    //
+    // The state is an object with property "depth" that is the depth of
+    // the element being skipped or captured, and property "recs" that
+    // is the array of captured event objects, or null when skipping.
+    //
+    this._sub = null;
+  }
+  
+  /*
+   * Local instance functions
+   * ========================
+   */
+  
+  /*
+   * Determine the inherited xml:lang, xml:space, and xml:base values of
+   * the starting element event in _cur.
+   * 
+   * Values are inherited from the innermost element on the element path
+   * and overridden by attributes of the element itself.  xml:base
+   * values are resolved against the inherited base URI.
+   * 
+   * Return:
+   * 
+   *   object with properties "lang", "space", and "base"
+   */
+  Parser.prototype._inheritXML = function() {
+    // Start with the values of the parent element, if any
+    let result = null;
+    if (this._pxml.length > 0) {
+      result = Object.assign({}, this._pxml[this._pxml.length - 1]);
+    } else {
+      result = {
+        "lang" : null,
+        "space": null,
+        "base" : this._xbase
+      };
+    }
+    
+    // Override with attributes of this element
+    const xa = this._cur.ext["http://www.w3.org/XML/1998/namespace"];
+    if (xa !== undefined) {
+      if ("lang" in xa) {
+        result.lang = xa.lang;
+      }
+      if ("space" in xa) {
+        result.space = xa.space;
+      }
+      if ("base" in xa) {
+        result.base = resolveURI(xa.base, result.base);
+      }
+    }
+    
+    return result;
+  };
+  
+  /*
+   * Make sure the next parsing event is in the buffer, if there is one.
+   * 
+   * If the buffer is empty, it is refilled, pulling more input from a
+   * binary source as needed.  When input is exhausted, this verifies
+   * that parsing is in finished state, and in recovery mode it adds
+   * ending element events for any elements that are still open.
+   * 
+   * Return:
+   * 
+   *   true if an event is in the buffer, false if there are no more
+   *   events, or null if more input is needed
+   */
+  Parser.prototype._prime = function() {
+    
+    // If buffer is empty, try to refill it, pulling more input from the
+    // binary source for as long as more input is needed
+    if (this._buf.length < 1) {
+      this._fill();
+      while ((this._buf.length < 1) && (!this._done) &&
+              (this._src !== null)) {
+        this._pull();
+        this._fill();
+      }
+    }
+    
+    // If buffer is filled, the next event is available
+    if (this._buf.length > 0) {
+      return true;
+    }
+    
+    // If buffer is still empty but input has not been fully tokenized,
+    // then more input is needed
+    if (!this._done) {
+      return null;
+    }
+    
+    // Input is exhausted, so verify that in finished state
+    if (this._tstate === 0) {
+      this._fault(this._parseErr(this._here(), "UNCLOSED_TAGS",
+              "Unclosed tags at end of XML",
+              [this._tstack[this._tstack.length - 1], null]));
+      
+      // In recovery mode, close all the open elements
+      const end = this._here();
+      while (this._tstack.length > 0) {
+        this._autoClose(end);
+      }
+      return true;
+      
+    } else if (this._tstate > 0) {
+      this._fault(this._parseErr(this._here(), "MISSING_ROOT",
+              "Missing root element"));
+      this._tstate = -1;
+    }
+    
+    return false;
+  };
+  
+  /*
+   * Update the element path after a new event has been loaded into
+   * _cur.
+   */
+  Parser.prototype._trackPath = function() {
+    // Pop the element of a preceding ending element event
+    if (this._ppop) {
+      this._path.pop();
+      this._pctx.pop();
+      this._pxml.pop();
+      this._ppop = false;
+    }
+    
+    // Push a starting element, or mark an ending element for popping
+    if (this._cur.type === 1) {
+      this._path.push({
+        "ns"   : this._cur.ns,
+        "name" : this._cur.name
+      });
+      this._pctx.push(this._cur.nsm);
+      this._pxml.push(this._inheritXML());
+      
+    } else if (this._cur.type === -1) {
+      this._ppop = true;
+    }
+  };
+  
+  /*
+   * Read events up to and including the ending element event that
+   * matches the current starting element event.
+   * 
+   * If capture is true, an event object from eventRecord() is collected
+   * for each event, including the starting and ending element events,
+   * and the array of them is returned.  Otherwise, true is returned.
+   * 
+   * If readEvent() indicates that more input is needed, the state is
+   * saved in _sub and null is returned.  Calling this function again
+   * with the same capture value then resumes.
+   * 
+   * Parameters:
+   * 
+   *   capture - true to collect event objects, false to skip
+   * 
+   * Return:
+   * 
+   *   array of event objects or true, or null if more input is needed
+   */
+  Parser.prototype._subtree = function(capture) {
+    // Check parameters
+    if (typeof capture !== "boolean") {
+      throw new Error();
+    }
+    
+    // Start a new operation, unless resuming a pending one
+    if (this._sub === null) {
+      if (this._cur === null) {
+        throw new Error("No event loaded");
+      }
+      if (this._cur.type !== 1) {
+        throw new Error("Wrong event type");
+      }
+      this._sub = {
+        "depth": this._path.length,
+        "recs" : capture ? [eventRecord(this._cur)] : null
+      };
+      
+    } else if ((this._sub.recs !== null) !== capture) {
+      throw new Error("Another subtree operation is pending");
+    }
+    
+    // Read events until the matching ending element event
+    let done = false;
+    while (!done) {
+      const retval = this.readEvent();
+      if (retval === null) {
+        return null;
+      }
+      if (retval === false) {
+        throw new Error();
+      }
+      
+      if (capture) {
+        this._sub.recs.push(eventRecord(this._cur));
+      }
+      
+      if ((this._cur.type === -1) &&
+          (this._path.length === this._sub.depth)) {
+        done = true;
+      }
+    }
+    
+    // Finish the operation
+    const recs = this._sub.recs;
+    this._sub = null;
+    return capture ? recs : true;
+  };
+  
+  /*
+   * Verify that a starting element event is loaded and that the parser
+   * is preserving original names, throwing an error if not.
+   */
+  Parser.prototype._checkPreserve = function() {
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 1) {
+      throw new Error("Wrong event type");
+    }
+    if (!this._preserve) {
+      throw new Error("Parser is not preserving names");
+    }
+  };
+  
+  /*
+   * Get an attribute value of the current starting element event for
+   * the typed attribute accessors.
+   * 
+   * opts is the options object passed to the typed accessor, which has
+   * been checked to be an object.  If the attribute is not present, the
+   * "default" property of opts is returned if it is defined, or else
+   * undefined is returned.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value, or null for a plain attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - the options object
+   * 
+   * Return:
+   * 
+   *   the attribute value, or the default value, or undefined
+   */
+  Parser.prototype._typedValue = function(ns, name, opts) {
+    // Check parameters
+    if ((ns !== null) && (typeof ns !== "string")) {
+      throw new Error();
+    }
+    if (typeof name !== "string") {
+      throw new Error();
+    }
+    if ((typeof opts !== "object") || (opts === null)) {
+      throw new Error();
+    }
+    
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 1) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Look up the attribute
+    let map = this._cur.attr;
+    if (ns !== null) {
+      map = this._cur.ext[ns];
+    }
+    if ((map !== undefined) &&
+        Object.prototype.hasOwnProperty.call(map, name)) {
+      return map[name];
+    }
+    
+    // Not present, so return the default, if any
+    return opts["default"];
+  };
+  
+  /*
+   * Generate a parsing error for a malformed attribute value, located
+   * at the current starting element event.
+   * 
+   * Parameters:
+   * 
+   *   name - the local attribute name
+   * 
+   *   detail - what is wrong with the value
+   * 
+   * Return:
+   * 
+   *   the ParserFault
+   */
+  Parser.prototype._attrErr = function(name, detail) {
+    return this._parseErr(this._cur.pos, "ATTRIBUTE_VALUE",
+      "Attribute '" + name + "' " + detail);
+  };
+  
+  /*
+   * Read an attribute of the current starting element event as an
+   * integer, which is the implementation of attrInt() and attrIntNS().
+   * 
+   * The value must be a base-10 integer with an optional sign that is
+   * exactly representable as a number, and it must be within the range
+   * given by opts.  A malformed value throws a ParserFault with the
+   * code ATTRIBUTE_VALUE.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute, or null for a plain
+   *   attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the integer value, the default, or null
+   */
+  Parser.prototype._attrInt = function(ns, name, opts) {
+    opts = typedOptions(opts);
+    const val = this._typedValue(ns, name, opts);
+    if (typeof val !== "string") {
+      return (val === undefined) ? null : val;
+    }
+    
+    RX_INT_VALUE.lastIndex = 0;
+    const v = parseInt(val, 10);
+    if ((!RX_INT_VALUE.test(val)) || (!Number.isSafeInteger(v))) {
+      throw this._attrErr(name, "must be an integer");
+    }
+    return checkRange(this, name, v, opts);
+  };
+  
+  /*
+   * Read an attribute of the current starting element event as a
+   * number, which is the implementation of attrNum() and attrNumNS().
+   * 
+   * The value must be a finite decimal number with an optional sign
+   * and exponent, and it must be within the range given by opts.  A
+   * malformed value throws a ParserFault with the code ATTRIBUTE_VALUE.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute, or null for a plain
+   *   attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the numeric value, the default, or null
+   */
+  Parser.prototype._attrNum = function(ns, name, opts) {
+    opts = typedOptions(opts);
+    const val = this._typedValue(ns, name, opts);
+    if (typeof val !== "string") {
+      return (val === undefined) ? null : val;
+    }
+    
+    RX_NUM_VALUE.lastIndex = 0;
+    const v = parseFloat(val);
+    if ((!RX_NUM_VALUE.test(val)) || (!Number.isFinite(v))) {
+      throw this._attrErr(name, "must be a number");
+    }
+    return checkRange(this, name, v, opts);
+  };
+  
+  /*
+   * Read an attribute of the current starting element event as a
+   * boolean, which is the implementation of attrBool() and
+   * attrBoolNS().
+   * 
+   * The value must be "true", "1", "false", or "0".  A malformed value
+   * throws a ParserFault with the code ATTRIBUTE_VALUE.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute, or null for a plain
+   *   attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the boolean value, the default, or null
+   */
+  Parser.prototype._attrBool = function(ns, name, opts) {
+    opts = typedOptions(opts);
+    const val = this._typedValue(ns, name, opts);
+    if (typeof val !== "string") {
+      return (val === undefined) ? null : val;
+    }
+    
+    if ((val === "true") || (val === "1")) {
+      return true;
+    } else if ((val === "false") || (val === "0")) {
+      return false;
+    } else {
+      throw this._attrErr(name, "must be true or false");
+    }
+  };
+  
+  /*
+   * Read an attribute of the current starting element event as one of
+   * an enumerated set of strings, which is the implementation of
+   * attrEnum() and attrEnumNS().
+   * 
+   * The value must be exactly equal to one of the strings in values.
+   * Any other value throws a ParserFault with the code
+   * ATTRIBUTE_VALUE.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute, or null for a plain
+   *   attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   values - array of the allowed strings
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the attribute value, the default, or null
+   */
+  Parser.prototype._attrEnum = function(ns, name, values, opts) {
+    if (!Array.isArray(values)) {
+      throw new Error();
+    }
+    opts = typedOptions(opts);
+    const val = this._typedValue(ns, name, opts);
+    if (typeof val !== "string") {
+      return (val === undefined) ? null : val;
+    }
+    
+    if (values.indexOf(val) < 0) {
+      throw this._attrErr(name, "must be one of " + values.join(", "));
+    }
+    return val;
+  };
+  
+  /*
+   * Read an attribute of the current starting element event as a
+   * space-separated list, which is the implementation of attrList()
+   * and attrListNS().
+   * 
+   * Attribute values are already whitespace-compressed, so the value
+   * only needs to be split on spaces.  Any value is accepted.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute, or null for a plain
+   *   attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the array of list items, the default, or null
+   */
+  Parser.prototype._attrList = function(ns, name, opts) {
+    opts = typedOptions(opts);
+    const val = this._typedValue(ns, name, opts);
+    if (typeof val !== "string") {
+      return (val === undefined) ? null : val;
+    }
+    
+    // Attribute values are already whitespace-compressed
+    const v = val.trim();
+    if (v.length < 1) {
+      return [];
+    }
+    return v.split(" ");
+  };
+  
+  /*
+   * Generate a parsing error.
+   * 
+   * pos is the position of the error, or null if no position is
+   * available.  code is the machine-readable error code.  detail is the
+   * actual error message.
+   * 
+   * pair is only used for tag pairing errors.  If given, it is an array
+   * of two values, the expected element name and the actual element
+   * name, either of which may be null.
+   *
+   * This function does not raise the error itself.
+   * 
+   * Parameters:
+   * 
+   *   pos - the position in the XML file, or null
+   * 
+   *   code - the error code
+   * 
+   *   detail - the detail of the error message
+   * 
+   *   pair - (optional) the expected and actual element names
+   * 
+   * Return:
+   * 
+   *   an ParserFault object that can be thrown
+   */
+  Parser.prototype._parseErr = function(pos, code, detail, pair) {
+    // Check parameters
+    if (pos !== null) {
+      if (!Array.isArray(pos) || (pos.length !== 3)) {
+        throw new Error();
+      }
+    }
+    if ((typeof code !== "string") || (typeof detail !== "string")) {
+      throw new Error();
+    }
+    if (pair === undefined) {
+      pair = [null, null];
+    }
+    if (!Array.isArray(pair) || (pair.length !== 2)) {
+      throw new Error();
+    }
+    
+    // Form message
+    let msg = "[XML file";
+    
+    if (this._sname !== null) {
+      msg = msg + " \"" + this._sname + "\"";
+    }
+    
+    if (pos !== null) {
+      msg = msg  + " line " + pos[0].toString() +
+                    " column " + pos[1].toString();
+    }
+    
+    msg = msg + "] " + detail;
+    
+    // Return error
+    return new ParserFault(msg, {
+      "code"      : code,
+      "sourceName": this._sname,
+      "line"      : (pos !== null) ? pos[0] : null,
+      "column"    : (pos !== null) ? pos[1] : null,
+      "offset"    : (pos !== null) ? pos[2] : null,
+      "detail"    : detail,
+      "expected"  : pair[0],
+      "actual"    : pair[1]
+    });
+  };
+  
+  /*
+   * Report a parsing error.
+   * 
+   * If the parser is not in recovery mode, the error is thrown.  In
+   * recovery mode, the error is recorded in the list of faults and this
+   * function returns normally, so that the caller can recover from the
+   * error and continue parsing.
+   * 
+   * Parameters:
+   * 
+   *   err - the ParserFault object returned by _parseErr()
+   */
+  Parser.prototype._fault = function(err) {
+    // Check parameters
+    if (!(err instanceof ParserFault)) {
+      throw new Error();
+    }
+    
+    // Throw or record the error
+    if (!this._recover) {
+      throw err;
+    }
+    this._faults.push(err);
+  };
+  
+  /*
+   * Return the current position of the tokenizer, which is the position
+   * just after the most recent token.
+   * 
+   * Return:
+   * 
+   *   the current position
+   */
+  Parser.prototype._here = function() {
+    return [this._lnum, this._col, this._off];
+  };
+  
+  /*
+   * Return the position of a codepoint within the most recent token.
+   * 
+   * k is an index into the token after line break normalization.  It
+   * may also be equal to the length of the normalized token, which
+   * refers to the position just after the token.
+   * 
+   * Line break normalization only changes line breaks, so line and
+   * column numbers can be counted on the normalized token.  Offsets
+   * are determined by walking through the token as it appeared in the
+   * input, where CR+LF and CR+NEL are two code units rather than one.
+   * 
+   * Parameters:
+   * 
+   *   k - the index in the normalized token
+   * 
+   * Return:
+   * 
+   *   the position of that index
+   */
+  Parser.prototype._tokenPos = function(k) {
+    // Check parameters and state
+    if (!isInteger(k)) {
+      throw new Error();
+    }
+    if (this._tok === null) {
+      throw new Error();
+    }
+    
+    const pos   = this._tok[0];
+    const token = this._tok[1];
+    const raw   = this._tok[2];
+    
+    if ((k < 0) || (k > token.length)) {
+      throw new Error();
+    }
+    
+    // Walk through the token up to the given index
+    let lnum = pos[0];
+    let col  = pos[1];
+    let j    = 0;
+    
+    for(let i = 0; i < k; i++) {
+      if (token.charAt(i) === "\n") {
+        lnum++;
+        col = 1;
+      } else {
+        col++;
+      }
+      
+      if ((raw.charAt(j) === "\r") &&
+          ((raw.charAt(j + 1) === "\n") ||
+            (raw.charAt(j + 1) === "\u{85}"))) {
+        j += 2;
+      } else {
+        j++;
+      }
+    }
+    
+    // Return position
+    return [lnum, col, pos[2] + j];
+  };
+  
+  /*
+   * Append decoded text to the end of the input.
+   * 
+   * Input that has already been consumed is dropped from the front of
+   * the input string.
+   * 
+   * Parameters:
+   * 
+   *   str - the text to append
+   */
+  Parser.prototype._append = function(str) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    // Ignore empty strings
+    if (str.length < 1) {
+      return;
+    }
+    
+    // While a token is held back, only collect the chunk and check
+    // whether it might complete the token
+    if (this._held !== null) {
+      this._held.push(str);
+      this._hlen += str.length;
+      
+      const probe = this._htail + str;
+      for(let i = 0; i < this._hstop.length; i++) {
+        if (probe.indexOf(this._hstop[i]) >= 0) {
+          this._hend = true;
+        }
+      }
+      this._htail = probe.slice(Math.max(probe.length - 2, 0));
+      return;
+    }
+    
+    // Drop consumed input and append the new text
+    this._str = this._str.slice(this._pos) + str;
+    this._pos = 0;
+  };
+  
+  /*
+   * Decode a chunk of binary input and append it to the input.
+   * 
+   * The encoding is determined by byte order mark detection once at
+   * least three bytes have been received or this is the last chunk.
+   * Multi-byte sequences split across chunks are carried over by the
+   * streaming decoder.
+   * 
+   * Parameters:
+   * 
+   *   ubuf - Uint8Array with the next chunk of bytes, which may be
+   *   empty
+   * 
+   *   last - true if this is the end of the binary input
+   */
+  Parser.prototype._decodeBytes = function(ubuf, last) {
+    // Check parameters
+    if (!(ubuf instanceof Uint8Array)) {
+      throw new Error();
+    }
+    if (typeof last !== "boolean") {
+      throw new Error();
+    }
+    
+    // If encoding has not been determined yet, gather bytes at the
+    // start of input until there are enough to check for a byte order
+    // mark
+    if (this._tdec === null) {
+      if (this._bhead.length > 0) {
+        const head = new Uint8Array(this._bhead.length + ubuf.length);
+        head.set(this._bhead);
+        head.set(ubuf, this._bhead.length);
+        ubuf = head;
+      }
+      
+      if ((ubuf.length < 3) && (!last)) {
+        this._bhead = ubuf.slice();
+        return;
+      }
+      this._bhead = new Uint8Array(0);
+      
+      const retval = detectBOM(ubuf);
+      this._tdec = new TextDecoder(retval[1], {
+        "fatal": true,
+        "ignoreBOM": true
+      });
+      ubuf = ubuf.subarray(retval[0]);
+    }
+    
+    // Decode the bytes and append to input
+    let str;
+    try {
+      str = this._tdec.decode(ubuf, {"stream": (!last)});
+    } catch (ex) {
+      throw this._parseErr(null, "ENCODING",
+        "Invalid " + this._tdec.encoding.toUpperCase() + " encoding");
+    }
+    this._append(str);
+  };
+  
+  /*
+   * Pull the next chunk of input from the binary source.
+   * 
+   * When the source is exhausted, the end of input is indicated and the
+   * binary source is cleared.
+   */
+  Parser.prototype._pull = function() {
+    // Check state
+    if (this._src === null) {
+      throw new Error();
+    }
+    
+    // Get next chunk
+    const retval = this._src.next();
+    if (retval.done) {
+      this._src = null;
+      this.end();
+      return;
+    }
+    
+    let ubuf = retval.value;
+    if (ubuf instanceof ArrayBuffer) {
+      ubuf = new Uint8Array(ubuf);
+    }
+    if (!(ubuf instanceof Uint8Array)) {
+      throw new Error("Binary source must yield Uint8Array chunks");
+    }
+    
+    // Decode the chunk
+    this._decodeBytes(ubuf, false);
+  };
+  
+  /*
+   * Enforce the length limits on a token that is being held back in
+   * push mode.
+   * 
+   * A held text token can only grow, so the text length limit is
+   * already enforced to bound the input that is buffered.  Held markup
+   * tokens are bounded by the pending length limit.
+   */
+  Parser.prototype._checkHeld = function() {
+    if (this._htext) {
+      if (this._hlen > this._limits.maxTextLength) {
+        throw this._parseErr(this._here(), "LIMIT_EXCEEDED",
+          "Content text exceeds length limit of " +
+          this._limits.maxTextLength.toString());
+      }
+    } else if (this._hlen > this._limits.maxPendingLength) {
+      throw this._parseErr(this._here(), "LIMIT_EXCEEDED",
+        "Incomplete markup exceeds length limit of " +
+        this._limits.maxPendingLength.toString());
+    }
+  };
+  
+  /*
+   * Determine which strings might complete a markup token that is held
+   * back in push mode, given the start of the token.
+   * 
+   * An incomplete comment, instruction, or CDATA section can only be
+   * completed by its terminator, an incomplete tag can only be
+   * completed or broken by a ">" or "<", and an incomplete DOCTYPE
+   * declaration, including one with an internal subset that is skipped
+   * in recovery mode, can only be completed by a ">".  For anything
+   * else, which is only ever a few codepoints long, null is returned,
+   * meaning that the token is checked again with each chunk.
+   * 
+   * Parameters:
+   * 
+   *   str - the input
+   * 
+   *   pos - the index of the "<" that starts the token
+   * 
+   * Return:
+   * 
+   *   an array of strings, or null
+   */
+  function markupStops(str, pos) {
+    // Check parameters
+    if ((typeof str !== "string") || (!isInteger(pos))) {
+      throw new Error();
+    }
+    
+    // Determine the kind of markup from its start
+    if (str.startsWith("<!--", pos)) {
+      return ["-->"];
+    } else if (str.startsWith("<?", pos)) {
+      return ["?>"];
+    } else if (str.startsWith("<![CDATA[", pos)) {
+      return ["]]>"];
+    } else if (str.startsWith("<!DOCTYPE", pos)) {
+      return [">"];
+    } else if ((pos + 1 < str.length) &&
+                (str[pos + 1] !== "!") && (str[pos + 1] !== "?")) {
+      return ["<", ">"];
+    }
+    return null;
+  }
+  
+  /*
+   * Read the next raw token from the XML file.
+   *
+   * Returns an array of two values.  The first value is the position
+   * the token began at.  The second value is the token itself.
+   * 
+   * If there are no more tokens, null is returned.  This happens either
+   * when the end of input has been reached, in which case _done will be
+   * set, or in push mode when the next token might continue into input
+   * that has not been fed yet, in which case _done will remain clear.
+   * 
+   * The _done, _pos, _tok, _lnum, _col, and _off instance variables
+   * will be updated by this function.
+   * 
+   * Line break normalization is already performed on returned tokens,
+   * because it is necessary to update the line number.  This function
+   * will also use validString() to make sure that all codepoints within
+   * the string are valid.
+   * 
+   * Return:
+   * 
+   *   an array containing a position and a string holding the token,
+   *   or null if no more tokens
+   */
+  Parser.prototype._readToken = function() {
+    // If parsing is done, proceed no further and return no more tokens
+    if (this._done) {
+      return null;
+    }
+    
+    // If a token is being held back, keep holding it until a chunk
+    // might complete it or there is no more input, and then join the
+    // held chunks onto the input
+    if (this._held !== null) {
+      if ((!this._hend) && (!this._eof)) {
+        this._checkHeld();
+        return null;
+      }
+      this._str = this._str.slice(this._pos) + this._held.join("");
+      this._pos = 0;
+      this._held = null;
+      this._hend = false;
+    }
+    
+    // If parsing is not done, attempt to get another token
+    let   token = null;
+    this._rx.lastIndex = this._pos;
+    const retval = this._rx.exec(this._str);
+    
+    if (retval !== null) {
+      // We got a token
+      token = retval[0];
+    
+    } else {
+      // No further tokens, but only done if no more input is coming
+      if (this._eof) {
+        this._done = true;
+      }
+      return null;
+    }
+    
+    // If more input may still be fed, hold back any token that might
+    // continue past the end of the input received so far; text tokens
+    // that reach the end of the input may be extended, and the failure
+    // token may be the start of markup that is not yet complete
+    if (!this._eof) {
+      let partial = false;
+      if (token === "<") {
+        RX_PARTIAL_TOKEN.lastIndex = this._pos;
+        partial = RX_PARTIAL_TOKEN.test(this._str);
+        
+        // In recovery mode, a rejected DOCTYPE declaration is skipped
+        // as a whole, so wait until all of it is available
+        if ((!partial) && this._recover) {
+          RX_DTD_SUBSET.lastIndex = this._pos;
+          RX_DTD_SKIP.lastIndex   = this._pos;
+          partial = RX_DTD_SUBSET.test(this._str) &&
+                      (!RX_DTD_SKIP.test(this._str));
+        }
+        
+        // Hold back incomplete markup, enforcing the pending length
+        // limit to bound the input buffered
+        if (partial) {
+          this._htext = false;
+          this._hlen  = this._str.length - this._pos;
+          this._hstop = markupStops(this._str, this._pos);
+          this._checkHeld();
+        }
+        
+      } else if (!token.startsWith("<")) {
+        partial = (this._rx.lastIndex >= this._str.length);
+        if (partial) {
+          this._htext = true;
+          this._hlen  = token.length;
+          this._hstop = ["<"];
+          this._checkHeld();
+        }
+      }
+      
+      if (partial) {
+        if (this._hstop !== null) {
+          this._held  = [];
+          this._htail = this._str.slice(
+                          Math.max(this._str.length - 2, this._pos));
+        }
+        return null;
+      }
+    }
+    
+    // Consume the token
+    this._pos = this._rx.lastIndex;
+    
+    // Token position is whatever the position was before parsing the
+    // token
+    const token_pos = this._here();
+    
+    // Enforce the token limit
+    this._ntok++;
+    if (this._ntok > this._limits.maxTokens) {
+      throw this._parseErr(token_pos, "LIMIT_EXCEEDED",
+        "Number of tokens exceeds limit of " +
+        this._limits.maxTokens.toString());
+    }
+    
+    // Check for parsing error, distinguishing DOCTYPE declarations
+    // that failed because they have an internal DTD subset
+    //
+    // In recovery mode, a rejected DOCTYPE declaration is consumed as
+    // a whole if its end can be found, while any other failure token is
+    // passed through so that it can be treated as literal text.
+    //
+    if (token === "<") {
+      RX_DTD_SUBSET.lastIndex = this._pos - 1;
+      if (RX_DTD_SUBSET.test(this._str)) {
+        this._fault(this._parseErr(token_pos, "DTD_REJECTED",
+          "DOCTYPE internal subsets are not supported"));
+        
+        RX_DTD_SKIP.lastIndex = this._pos - 1;
+        const dtd = RX_DTD_SKIP.exec(this._str);
+        if (dtd !== null) {
+          token = dtd[0];
+          this._pos = RX_DTD_SKIP.lastIndex;
+        }
+        
+      } else {
+        this._fault(this._parseErr(token_pos, "TOKENIZATION",
+          "XML tokenization failed"));
+      }
+    }
+    
+    // Perform line break normalization, keeping the raw token so that
+    // positions within the token can be determined
+    const raw = token;
+    token = breakNorm(token);
+    this._tok = [token_pos, token, raw];
+    
+    // Check that token only contains valid codepoints
+    if (!validString(token)) {
+      // String has an invalid codepoint, so iterate through to find
+      // where it is; in recovery mode, report each invalid codepoint
+      // and replace its code units with replacement characters, which
+      // keeps the token length the same
+      let fixed = "";
+      let i = 0;
+      
+      for(i = 0; i < token.length; i++) {
+        const cv = token.codePointAt(i);
+        const cl = (cv > 0xffff) ? 2 : 1;
+        if (validCode(cv)) {
+          fixed = fixed + token.slice(i, i + cl);
+          
+        } else {
+          this._fault(this._parseErr(
+            this._tokenPos(i),
+            "INVALID_CODEPOINT",
+            "Invalid Unicode codepoint U+" +
+            cv.toString(16).toUpperCase().padStart(4, "0")));
+          
+          fixed = fixed + "\ufffd".repeat(cl);
+        }
+        i = i + cl - 1;
+      }
+      
+      token = fixed;
+      this._tok[1] = token;
+    }
+    
+    // Update position
+    const lb = token.lastIndexOf("\n");
+    if (lb >= 0) {
+      this._col = token.length - lb;
+    } else {
+      this._col += token.length;
+    }
+    this._lnum += countLine(token);
+    this._off  += raw.length;
+    
+    // Return the token
+    return [token_pos, token];
+  };
+  
+  /*
+   * Perform entity escaping on the given string and return the string
+   * with all escapes decoded.
+   * 
+   * The given string must be a substring of the most recent token read
+   * by _readToken().  k is the index of the string within that token,
+   * for purposes of diagnostics.
+   * 
+   * Parameters:
+   * 
+   *   str - the string to perform escaping on
+   * 
+   *   k - the index of the string within the current token
+   * 
+   * Return:
+   * 
+   *   the escaped string
+   */
+  Parser.prototype._entEsc = function(str, k) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    if (!isInteger(k)) {
+      throw new Error();
+    }
+    
+    // If there is no ampersand anywhere, then no escaping required
+    if (str.indexOf("&") < 0) {
+      return str;
+    }
+    
+    // Result starts out empty
+    let result = "";
+    
+    // Parse a sequence of plain text, escape codes, and invalid
+    // ampersands
+    RX_ENT_ESC.lastIndex = 0;
+    for(let retval = RX_ENT_ESC.exec(str);
+        retval !== null;
+        retval = RX_ENT_ESC.exec(str)) {
+      
+      // Get token and its position
+      let token = retval[0];
+      const token_k = k + retval.index;
+      
+      // Check for invalid ampersand, which is kept as literal text in
+      // recovery mode
+      if (token === "&") {
+        this._fault(this._parseErr(this._tokenPos(token_k),
+              "STRAY_AMPERSAND",
+              "Ampersand must be part of entity escape"));
+        result = result + token;
+        continue;
+      }
+      
+      // If this is not an entity escape, copy to result and next token
+      if (token.slice(0, 1) !== "&") {
+        result = result + token;
+        continue;
+      }
+      
+      // If we got here, token is an entity escape, so process it; in
+      // recovery mode, invalid escapes are kept as literal text
+      RX_ENT_ESC_NAMED.lastIndex = 0;
+      RX_ENT_ESC_DEC.lastIndex   = 0;
+      RX_ENT_ESC_HEX.lastIndex   = 0;
+      let retval2 = null;
+      
+      if ((retval2 = RX_ENT_ESC_NAMED.exec(token)) !== null) {
+        // Named escape, checking the predefined entities and then any
+        // additional entities, which must expand to valid codepoints
+        const ename = retval2[1];
+        if (Object.prototype.hasOwnProperty.call(XML_ENTITIES, ename)) {
+          result = result + XML_ENTITIES[ename];
+          
+        } else if ((this._ents !== null) &&
+            Object.prototype.hasOwnProperty.call(this._ents, ename)) {
+          if (validString(this._ents[ename])) {
+            result = result + this._ents[ename];
+          } else {
+            this._fault(this._parseErr(this._tokenPos(token_k),
+                  "ESCAPED_CODEPOINT",
+                  "Entity expands to codepoint out of range for '" +
+                  token + "'"));
+            result = result + token;
+          }
+          
+        } else {
+          this._fault(this._parseErr(this._tokenPos(token_k),
+                "UNKNOWN_ENTITY",
+                "Unrecognized named entity '" + token + "'"));
+          result = result + token;
+        }
+        
+      } else if ((retval2 = RX_ENT_ESC_DEC.exec(token)) !== null) {
+        // Decimal escape
+        const cv = parseInt(retval2[1], 10);
+        if (validCode(cv)) {
+          result = result + String.fromCodePoint(cv);
+        } else {
+          this._fault(this._parseErr(this._tokenPos(token_k),
+                "ESCAPED_CODEPOINT",
+                "Escaped codepoint out of range for '" + token + "'"));
+          result = result + token;
+        }
+        
+      } else if ((retval2 = RX_ENT_ESC_HEX.exec(token)) !== null) {
+        // Base-16 escape
+        const cv = parseInt(retval2[1], 16);
+        if (validCode(cv)) {
+          result = result + String.fromCodePoint(cv);
+        } else {
+          this._fault(this._parseErr(this._tokenPos(token_k),
+                "ESCAPED_CODEPOINT",
+                "Escaped codepoint out of range for '" + token + "'"));
+          result = result + token;
+        }
+        
+      } else {
+        this._fault(this._parseErr(this._tokenPos(token_k),
+            "INVALID_ESCAPE",
+            "Invalid entity escape '" + token + "'"));
+        result = result + token;
+      }
+    }
+    
+    // Return result
+    return result;
+  };
+  
+  /*
+   * Parse the attribute substring of a tag token.  Returns an object
+   * mapping attribute names to attribute values.  Names have been
+   * validated and normalized.  Attribute values have been escaped and
+   * normalized.
+   * 
+   * The attribute substring, if it is not empty, should begin with at
+   * least one codepoint of whitespace which separates it from the the
+   * element name that precedes it in the tag.
+   * 
+   * The attribute substring must be part of the most recent token read
+   * by _readToken(), and k is the index of the substring within that
+   * token, for purposes of diagnostics.
+   * 
+   * In recovery mode, invalid and duplicate attributes are dropped, and
+   * the rest of the substring is ignored after a syntax error.
+   * 
+   * If alist is not null, an object is appended to it for each
+   * attribute in the order they are written.  Each has the properties
+   * "qname" for the attribute name, "value" for the attribute value,
+   * "raw" for the attribute value before escaping and normalization,
+   * and "quote" for the quote character that was used.  The "prefix"
+   * and "ns" properties are left null for _resolveList() to fill in.
+   * 
+   * Parameters:
+   * 
+   *   pstr - the attribute substring of the tag
+   * 
+   *   k - the index of the attribute substring in the current token
+   * 
+   *   alist - array to append the attribute list to, or null
+   * 
+   * Return:
+   * 
+   *   object mapping attribute names to attribute values
+   */
+  Parser.prototype._parseAttr = function(pstr, k, alist) {
+    // Check parameters
+    if (typeof pstr !== "string") {
+      throw new Error();
+    }
+    if (!isInteger(k)) {
+      throw new Error();
+    }
+    if ((alist !== null) && (!Array.isArray(alist))) {
+      throw new Error();
+    }
+    
+    // End-trim the parameter substring, but leave leading whitespace
+    pstr = endTrim(pstr);
+    
+    // Just return empty object if parameter substring empty after
+    // end-trimming
+    if (pstr.length < 1) {
+      return {};
+    }
+    
+    // The attribute map starts out empty
+    let attr = {};
+    let att_count = 0;
+    
+    // Parse any attributes
+    RX_PARSE_ATTR.lastIndex = 0;
+    for(let retval = RX_PARSE_ATTR.exec(pstr);
+        retval !== null;
+        retval = RX_PARSE_ATTR.exec(pstr)) {
+      
+      // Get current part and its index in the token
+      const part   = retval[0];
+      const part_k = k + retval.index;
+      
+      // If part is single codepoint then there is a parsing error
+      if (part.length <= 1) {
+        this._fault(this._parseErr(this._tokenPos(part_k),
+          "ATTRIBUTE_SYNTAX",
+          "Failed to parse tag attributes"));
+        break;
+      }
+      
+      // If we got here, we should have an attribute, so parse it into
+      // an attribute name and an attribute value
+      let att_name = null;
+      let att_val = null;
+      
+      let att_name_k = null;
+      let att_val_k = null;
+      let att_quote = null;
+      
+      RX_PARSE_ATTR_D.lastIndex = 0;
+      RX_PARSE_ATTR_S.lastIndex = 0;
+      let retval2 = null;
+      
+      if ((retval2 = RX_PARSE_ATTR_D.exec(part)) !== null) {
+        att_name  = retval2[2];
+        att_val   = retval2[4];
+        att_quote = "\"";
+        
+        att_name_k = part_k     + retval2[1].length;
+        att_val_k  = att_name_k + retval2[2].length +
+                      retval2[3].length + 1;
+        
+      } else if ((retval2 = RX_PARSE_ATTR_S.exec(part)) !== null) {
+        att_name  = retval2[2];
+        att_val   = retval2[4];
+        att_quote = "'";
+        
+        att_name_k = part_k     + retval2[1].length;
+        att_val_k  = att_name_k + retval2[2].length +
+                      retval2[3].length + 1;
+        
+      } else {
+        this._fault(this._parseErr(this._tokenPos(part_k),
+          "ATTRIBUTE_SYNTAX",
+          "Failed to parse tag attributes"));
+        continue;
+      }
+      
+      // Normalize attribute name and verify valid
+      att_name = att_name.normalize("NFC");
+      if (!validName(att_name)) {
+        this._fault(this._parseErr(this._tokenPos(att_name_k),
+          "INVALID_NAME",
+          "Invalid attribute name '" + att_name + "'"));
+        continue;
+      }
+      
+      // Enforce the attribute value length limit
+      if (att_val.length > this._limits.maxAttributeLength) {
+        throw this._parseErr(this._tokenPos(att_val_k),
+          "LIMIT_EXCEEDED",
+          "Attribute value exceeds length limit of " +
+          this._limits.maxAttributeLength.toString());
+      }
+      
+      // Make sure attribute value does not have the disallowed <,
+      // which is kept as literal text in recovery mode
+      if (att_val.indexOf("<") >= 0) {
+        this._fault(this._parseErr(
+          this._tokenPos(att_val_k + att_val.indexOf("<")),
+          "UNESCAPED_LT",
+          "Attribute value contains unescaped <"));
+      }
+      
+      // Entity-escape, whitespace-compress, and NFC normalize the
+      // attribute value; in exact mode, only the whitespace written
+      // literally in the value is replaced by spaces, as XML does
+      const att_raw = att_val;
+      if (this._exact) {
+        RX_ATTR_WS.lastIndex = 0;
+        att_val = this._entEsc(
+                    att_val.replaceAll(RX_ATTR_WS, " "), att_val_k);
+      } else {
+        att_val = this._entEsc(att_val, att_val_k);
+        att_val = wsCompress(att_val).normalize("NFC");
+      }
+      
+      // Make sure attribute not defined yet
+      if (att_name in attr) {
+        this._fault(this._parseErr(this._tokenPos(att_name_k),
+          "DUPLICATE_ATTRIBUTE",
+          "Attribute '" + att_name + "' defined multiple times"));
+        continue;
+      }
+      
+      // Enforce the attribute count limit and store the attribute
+      if (att_count >= this._limits.maxAttributes) {
+        throw this._parseErr(this._tokenPos(att_name_k),
+          "LIMIT_EXCEEDED",
+          "Number of attributes exceeds limit of " +
+          this._limits.maxAttributes.toString());
+      }
+      attr[att_name] = att_val;
+      att_count++;
+      
+      if (alist !== null) {
+        alist.push({
+          "qname" : att_name,
+          "prefix": null,
+          "ns"    : null,
+          "value" : att_val,
+          "raw"   : att_raw,
+          "quote" : att_quote
+        });
+      }
+    }
+    
+    // Return attribute map
+    return attr;
+  };
+  
+  /*
+   * Parse a tag token.
+   * 
+   * The return value is an array with the following elements:
+   * 
+   *   (1) Tag type: 1 = start, 0 = empty, -1 = end
+   *   (2) Element name
+   *   (3) Ojbect mapping attribute names to attribute values
+   *   (4) Ordered attribute list from _parseAttr(), or null if
+   *       original names are not being preserved
+   * 
+   * Names have been validated and normalized.  Attribute values have
+   * been escaped and normalized.  End tags have been verified to have
+   * no attributes.
+   * 
+   * The tag token must be the most recent token read by _readToken().
+   * 
+   * In recovery mode, null is returned if the tag is so malformed that
+   * it must be skipped.
+   * 
+   * Parameters:
+   * 
+   *   token - the tag token string to parse
+   * 
+   * Return:
+   * 
+   *   an array with the parsed tag token, or null
+   */
+  Parser.prototype._parseTag = function(token) {
+    // Check parameters
+    if (typeof token !== "string") {
+      throw new Error();
+    }
+    
+    // Parse the whole tag
+    RX_PARSE_TAG.lastIndex = 0;
+    const retval = RX_PARSE_TAG.exec(token);
+    if (retval === null) {
+      this._fault(this._parseErr(this._tokenPos(0), "TAG_SYNTAX",
+        "Failed to parse tag"));
+      return null;
+    }
+    
+    const start_slash = retval[1];
+    let   ename       = retval[2];
+    const pstr        = retval[3];
+    const end_slash   = retval[4];
+    
+    // Determine the indices of the element name and the attribute
+    // substring within the token
+    const ename_k = (start_slash === undefined) ? 1 : 2;
+    const pstr_k  = ename_k + ename.length;
+
+    // Determine the tag type
+    let etype = null;
+    if ((start_slash === undefined) && (end_slash === undefined)) {
+      etype = 1;
+    
+    } else if ((start_slash !== undefined) &&
+                (end_slash === undefined)) {
+      etype = -1;
+      
+    } else if ((start_slash === undefined) &&
+                (end_slash !== undefined)) {
+      etype = 0;
+      
+    } else {
+      this._fault(this._parseErr(this._tokenPos(0), "TAG_SYNTAX",
+        "Failed to parse tag"));
+      return null;
+    }
+    
+    // Normalize element name and validate it
+    ename = ename.normalize("NFC");
+    if (!validName(ename)) {
+      this._fault(this._parseErr(this._tokenPos(ename_k),
+        "INVALID_NAME",
+        "Invalid tag name '" + ename + "'"));
+      return null;
+    }
+    
+    // Parse attributes
+    const alist = this._preserve ? [] : null;
+    const attr = this._parseAttr(pstr, pstr_k, alist);
+    
+    // If closing tag, make sure no attributes; they are ignored in
+    // recovery mode
+    if (etype < 0) {
+      for(let p in attr) {
+        this._fault(this._parseErr(this._tokenPos(pstr_k),
+          "END_TAG_ATTRIBUTES",
+          "Closing tags may not have attributes"));
+        break;
+      }
+    }
+    
+    // Return parsed tag
+    return [etype, ename, attr, alist];
+  };
+  
+  /*
+   * Update the namespace stack before processing a starting or empty
+   * tag.
+   * 
+   * attr is the raw attribute map.  pos is the position of the tag.
+   * A new entry will be pushed onto the namespace stack by this
+   * function.
+   * 
+   * In recovery mode, invalid namespace mappings are ignored.
+   * 
+   * Parameters:
+   * 
+   *   attr - the attribute map
+   * 
+   *   pos - the position of the tag
+   * 
+   * Return:
+   * 
+   *   object mapping the prefixes declared on this tag to their
+   *   namespace values, with the default namespace as empty string
+   */
+  Parser.prototype._updateNS = function(attr, pos) {
+    // Check parameters
+    if (typeof attr !== "object") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // The new_ns map contains new namespace mappings defined in this
+    // element, and ns_count is the number of them
+    let new_ns = {};
+    let ns_count = 0;
+    
+    // Go through attributes
+    let k = null;
+    for(k in attr) {
+      // Get the prefix mapped by this attribute, or skip attribute if
+      // not a namespace mapping
+      let target_pfx = null;
+      
+      const sname = splitName(k);
+      if (sname[0] !== null) {
+        if (sname[0] === "xmlns") {
+          target_pfx = sname[1];
+        }
+      } else {
+        if (sname[1] === "xmlns") {
+          target_pfx = "";
+        }
+      }
+      
+      if (target_pfx === null) {
+        continue;
+      }
+      
+      // For diagnostics, get a label of what is being mapped
+      let target_label = null;
+      if (target_pfx.length > 0) {
+        target_label = "namespace prefix '" + target_pfx + "'";
+      } else {
+        target_label = "default namespace";
+      }
+      
+      // Get value of this namespace target and make sure not empty
+      const ns_val = attr[k];
+      if (ns_val.length < 1) {
+        this._fault(this._parseErr(pos, "NAMESPACE_EMPTY",
+          "Can't map " + target_label + " to empty value"));
+        continue;
+      }
+      
+      // Make sure not mapping the xmlns prefix
+      if (target_pfx === "xmlns") {
+        this._fault(this._parseErr(pos, "NAMESPACE_RESERVED",
+          "Can't namespace map the xmlns prefix"));
+        continue;
+      }
+      
+      // Make sure not mapping to reserved xmlns namespace
+      if (ns_val === 'http://www.w3.org/2000/xmlns/') {
+        this._fault(this._parseErr(pos, "NAMESPACE_RESERVED",
+          "Can't map " + target_label + " to reserved xmlns value"));
+        continue;
+      }
+      
+      // If target prefix is "xml" make sure mapping to proper
+      // namespace; otherwise, make sure not mapping to XML namespace
+      if (target_pfx === "xml") {
+        if (ns_val !== "http://www.w3.org/XML/1998/namespace") {
+          this._fault(this._parseErr(pos, "NAMESPACE_RESERVED",
+            "Can only map " + target_label + " to reserved xml value"));
+          continue;
+        }
+      } else {
+        if (ns_val === "http://www.w3.org/XML/1998/namespace") {
+          this._fault(this._parseErr(pos, "NAMESPACE_RESERVED",
+            "Can't map " + target_label + " to reserved xml value"));
+          continue;
+        }
+      }
+      
+      // Make sure this mapping not yet defined on this element
+      if (target_pfx in new_ns) {
+        this._fault(this._parseErr(pos, "NAMESPACE_REDEFINED",
+          "Redefinition of " + target_label + " on same element"));
+        continue;
+      }
+      
+      // Enforce the namespace mapping limit and add to new mappings
+      if (ns_count >= this._limits.maxNamespaces) {
+        throw this._parseErr(pos, "LIMIT_EXCEEDED",
+          "Number of namespace mappings exceeds limit of " +
+          this._limits.maxNamespaces.toString());
+      }
+      new_ns[target_pfx] = ns_val;
+      ns_count++;
+    }
+    
+    // If at least one new mapping, then make a copy of the namespace
+    // context on top of the stack, modify it, and push it back;
+    // otherwise, just duplicate the reference on top of the namespace
+    // stack
+    let has_new = false;
+    let nk = null;
+    for (nk in new_ns) {
+      has_new = true;
+      break;
+    }
+    
+    if (has_new) {
+      // New definitions, so make a copy of the namespace on top of the
+      // stack
+      let nsz = this._nstack[this._nstack.length - 1];
+      let nsa = {};
+      let kz = null;
+      for(kz in nsz) {
+        nsa[kz] = nsz[kz];
+      }
+      
+      // Update namespace
+      let kv = null;
+      for(kv in new_ns) {
+        nsa[kv] = new_ns[kv];
+      }
+      
+      // Push updated namespace
+      this._nstack.push(nsa);
+      
+    } else {
+      // No new definitions, just duplicate reference on top
+      this._nstack.push(this._nstack[this._nstack.length - 1]);
+    }
+    
+    // Return the new definitions
+    return new_ns;
+  };
+  
+  /*
+   * Return a subset attribute mapping that only contains attributes
+   * which have no namespace prefix and which are not "xmlns".
+   * 
+   * Parameters:
+   * 
+   *   attr - object containing the raw attribute map
+   * 
+   *   pos - the position of the tag
+   * 
+   * Return:
+   * 
+   *   object containing plain attribute map
+   */
+  Parser.prototype._plainAttr = function(attr, pos) {
+    // Check parameters
+    if (typeof attr !== "object") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Form the subset
+    let result = {};
+    let k = null;
+    
+    for(k in attr) {
+      const retval = splitName(k);
+      if ((retval[0] === null) && (k !== "xmlns")) {
+        result[k] = attr[k];
+      }
+    }
+    
+    // Return result
+    return result;
+  };
+  
+  /*
+   * Return a namespaced attribute mapping.
+   * 
+   * In recovery mode, attributes with unmapped prefixes and aliased
+   * attributes are dropped.
+   * 
+   * Parameters:
+   * 
+   *   attr - object containing the raw attribute map
+   * 
+   *   pos - the position of the tag
+   * 
+   * Return:
+   * 
+   *   two-level object containing the namespaced attribute map
+   */
+  Parser.prototype._extAttr = function(attr, pos) {
+    // Check parameters
+    if (typeof attr !== "object") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Form the set
+    let result = {};
+    let k = null;
+    
+    for(k in attr) {
+      // Split attribute name if possible
+      const retval = splitName(k);
+            
+      // Only process attributes that have a prefix which is not "xmlns"
+      if ((retval[0] !== null) && (retval[0] !== "xmlns")) {
+        // Get namespace value for prefix
+        const a_ns = this._nstack[this._nstack.length - 1][retval[0]];
+        if (a_ns === undefined) {
+          this._fault(this._parseErr(pos, "UNMAPPED_PREFIX",
+            "Unmapped namespace prefix '" + retval[0] + "'"));
+          continue;
+        }
+        
+        // Add new namespace entry if not yet defined
+        if (result[a_ns] === undefined) {
+          result[a_ns] = {};
+        }
+        
+        // Make sure local attribute not yet defined
+        if (result[a_ns][retval[1]] !== undefined) {
+          this._fault(this._parseErr(pos, "ALIASED_ATTRIBUTE",
+            "Aliased external attribute '" + k + "'"));
+          continue;
+        }
+        
+        // Add namespaced attribute
+        result[a_ns][retval[1]] = attr[k];
+      }
+    }
+    
+    // Return result
+    return result;
+  };
+  
+  /*
+   * Process a tag assembly.
+   * 
+   * token is the whole tag token, which must be the most recent token
+   * read by _readToken().  pos is the position that the tag token
+   * began at.  It is assumed that line break normalization has already
+   * been performed on the token.
+   * 
+   * In recovery mode, malformed tags and ending tags that do not match
+   * any open element are skipped.  An ending tag that matches an open
+   * element other than the innermost one automatically closes all the
+   * elements within it.  Additional root elements are allowed.
+   * 
+   * Parameters:
+   * 
+   *   token - the tag assembly string to process
+   * 
+   *   pos - the position of the tag
+   */
+  Parser.prototype._procTag = function(token, pos) {
+    // Check parameters
+    if (typeof token !== "string") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Parse the tag, skipping it if it had to be dropped
+    let retval = this._parseTag(token);
+    if (retval === null) {
+      return;
+    }
+    
+    const etype    = retval[0];
+    const ename    = retval[1];
+    const raw_attr = retval[2];
+    const alist    = retval[3];
+    
+    // If this is an opening or empty element, verify that tag state is
+    // not finished and that the depth limit is not exceeded, and then
+    // push the element name on the tag stack and set tag state to
+    // active
+    if (etype >= 0) {
+      if (this._tstate < 0) {
+        this._fault(this._parseErr(pos, "MULTIPLE_ROOTS",
+          "Multiple root elements"));
+      }
+      
+      if (this._tstack.length >= this._limits.maxDepth) {
+        throw this._parseErr(pos, "LIMIT_EXCEEDED",
+          "Element nesting exceeds depth limit of " +
+          this._limits.maxDepth.toString());
+      }
+      
+      this._tstack.push(ename);
+      this._tstate = 0;
+    }
+    
+    // If this is a closing or empty element, verify that tag state is
+    // active, verify that element on top of tag stack matches current
+    // element, and then pop element on top of tag stack, moving to
+    // finished state if tag stack now empty
+    if (etype <= 0) {
+      if (this._tstate !== 0) {
+        this._fault(this._parseErr(pos, "TAG_PAIRING",
+                      "Tag parsing error", [null, ename]));
+        return;
+      }
+      
+      if (this._tstack[this._tstack.length - 1] !== ename) {
+        this._fault(this._parseErr(pos, "TAG_PAIRING",
+                      "Tag pairing error",
+                      [this._tstack[this._tstack.length - 1], ename]));
+        if (this._tstack.lastIndexOf(ename) < 0) {
+          return;
+        }
+        while (this._tstack[this._tstack.length - 1] !== ename) {
+          this._autoClose(pos);
+        }
+      }
+      
+      this._tstack.pop();
+      if (this._tstack.length < 1) {
+        this._tstate = -1;
+      }
+    }
+    
+    // If this is an opening or empty element, go through all the raw
+    // attributes and update namespace stack, remembering the namespace
+    // context and declarations for the starting tag event
+    let nsmap = null;
+    let decl = null;
+    if (etype >= 0) {
+      decl = this._updateNS(raw_attr, pos);
+      nsmap = this._nstack[this._nstack.length - 1];
+    }
+    
+    // Parse the element name according to namespaces
+    retval = splitName(ename);
+    let e_local = retval[1];
+    let e_ns = null;
+    if (retval[0] !== null) {
+      e_ns = this._nstack[this._nstack.length - 1][retval[0]];
+      if (e_ns === undefined) {
+        // In recovery mode the prefix is ignored, and it is only
+        // reported for the starting tag
+        if (etype >= 0) {
+          this._fault(this._parseErr(pos, "UNMAPPED_PREFIX",
+            "Unmapped namespace prefix '" + retval[0] + "'"));
+        }
+        e_ns = null;
+      }
+    }
+    
+    // If no defined namespace for element but a default namespace, then
+    // use the default namespace
+    if (e_ns === null) {
+      e_ns = this._nstack[this._nstack.length - 1][""];
+      if (e_ns === undefined) {
+        e_ns = null;
+      }
+    }
+    
+    // The atts map will have all attributes that do not have a prefix
+    // and that are not the special "xmlns" attribute; only has entries
+    // for starting and empty tags
+    let atts = null;
+    if (etype >= 0) {
+      atts = this._plainAttr(raw_attr, pos);
+    } else {
+      atts = {};
+    }
+    
+    // The ext map will have all the namespace attributes that do not
+    // have the special "xmlns:" prefix; only has entries for starting
+    // and empty tags
+    let ext = null;
+    if (etype >= 0) {
+      ext = this._extAttr(raw_attr, pos);
+    } else {
+      ext = {};
+    }
+    
+    // When preserving original names, resolve the prefix and
+    // namespace of each attribute in the ordered list
+    if ((alist !== null) && (etype >= 0)) {
+      this._resolveList(alist);
+    }
+    
+    // If this is a closing or empty element, pop the namespace stack
+    if (etype <= 0) {
+      this._nstack.pop();
+    }
+    
+    // Add the proper entries to the buffer, with both events of an
+    // empty tag covering the whole tag
+    const end = this._here();
+    let start = null;
+    
+    if (etype >= 0) {
+      // Starting tag or empty tag, so add a starting tag event to the
+      // buffer, and keep it on the event stack if the element is open
+      start = {
+        "type": 1,
+        "pos" : pos,
+        "end" : end,
+        "name": e_local,
+        "ns"  : e_ns,
+        "attr": atts,
+        "ext" : ext,
+        "nsm" : nsmap,
+        "decl": decl
+      };
+      if (alist !== null) {
+        start.qname = ename;
+        start.pfx   = splitName(ename)[0];
+        start.alist = alist;
+      }
+      this._buf.push(start);
+      if (etype > 0) {
+        this._estack.push(start);
+      }
+    }
+    
+    if (etype <= 0) {
+      // Empty tag or ending tag, so add an ending tag event to the
+      // buffer, copying the name and namespace from the starting tag
+      if (etype < 0) {
+        start = this._estack.pop();
+      }
+      this._buf.push({
+        "type": -1,
+        "pos" : pos,
+        "end" : end,
+        "name": start.name,
+        "ns"  : start.ns,
+        "spos": start.pos,
+        "nsm" : start.nsm
+      });
+    }
+  };
+  
+  /*
+   * Fill in the "prefix" and "ns" properties of each attribute in an
+   * ordered attribute list from _parseAttr().
+   * 
+   * The namespace context on top of the namespace stack is used, so
+   * this must be called after _updateNS() for the tag.  Unprefixed
+   * attributes have a null prefix and namespace, except for "xmlns",
+   * which is in the reserved xmlns namespace.  Attributes with an
+   * unmapped prefix have a null namespace.
+   * 
+   * Parameters:
+   * 
+   *   alist - the ordered attribute list
+   */
+  Parser.prototype._resolveList = function(alist) {
+    // Check parameters
+    if (!Array.isArray(alist)) {
+      throw new Error();
+    }
+    
+    // Resolve each attribute
+    const nsm = this._nstack[this._nstack.length - 1];
+    for(let i = 0; i < alist.length; i++) {
+      const a = alist[i];
+      a.prefix = splitName(a.qname)[0];
+      a.ns = null;
+      
+      if (a.prefix !== null) {
+        if (Object.prototype.hasOwnProperty.call(nsm, a.prefix)) {
+          a.ns = nsm[a.prefix];
+        }
+      } else if (a.qname === "xmlns") {
+        a.ns = nsm["xmlns"];
+      }
+    }
+  };
+  
+  /*
+   * Close the innermost open element without an ending tag.
+   * 
+   * This is only used in recovery mode.  The element is popped from the
+   * tag stack and the namespace stack, and an ending tag event with no
+   * length is added to the buffer at the given position.
+   * 
+   * Parameters:
+   * 
+   *   pos - the position to use for the ending tag event
+   */
+  Parser.prototype._autoClose = function(pos) {
+    // Check parameters
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Check state
+    if (this._tstack.length < 1) {
+      throw new Error();
+    }
+    
+    // Pop the element, moving to finished state if tag stack now empty
+    this._tstack.pop();
+    this._nstack.pop();
+    if (this._tstack.length < 1) {
+      this._tstate = -1;
+    }
+    
+    // Add the ending tag event
+    const start = this._estack.pop();
+    this._buf.push({
+      "type": -1,
+      "pos" : pos,
+      "end" : pos,
+      "name": start.name,
+      "ns"  : start.ns,
+      "spos": start.pos,
+      "nsm" : start.nsm
+    });
+  };
+  
+  /*
+   * Add the content text of a text or CDATA token to the content
+   * assembly that is being built.
+   * 
+   * text is the content text of the token, with entity escaping already
+   * applied to text tokens.  pos is the position the token began at.
+   * The token must be the most recent token read by _readToken().
+   * 
+   * Outside of the root element, there is no content assembly and the
+   * text is processed immediately with _procContent(), so that any
+   * stray content error can be located within the token.
+   * 
+   * Parameters:
+   * 
+   *   text - the content text of the token
+   * 
+   *   pos - the position of the token
+   */
+  Parser.prototype._addContent = function(text, pos) {
+    // Check parameters
+    if (typeof text !== "string") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // If not in active tag state, process right away
+    if (this._tstate !== 0) {
+      this._procContent(text, pos, this._here());
+      return;
+    }
+    
+    // Enforce the text length limit
+    const clen = (this._content !== null) ? this._content.length : 0;
+    if (clen + text.length > this._limits.maxTextLength) {
+      throw this._parseErr((this._cpos !== null) ? this._cpos : pos,
+        "LIMIT_EXCEEDED",
+        "Content text exceeds length limit of " +
+        this._limits.maxTextLength.toString());
+    }
+    
+    // Add to content assembly
+    if (this._content !== null) {
+      this._content = this._content + text;
+    } else {
+      this._content = text;
+      this._cpos    = pos;
+    }
+    this._cend = this._here();
+  };
+  
+  /*
+   * Process a content assembly.
+   * 
+   * text is the decoded text of the assembly.  Text tokens must have
+   * their entities escaped already.  This function will apply line
+   * break normalization and Unicode normalization to NFC.  This
+   * function can be called for content outside of any tags, in which
+   * case it must be called separately for each token as the token is
+   * read, so that errors can be located within the token.
+   * 
+   * pos is the position that the first token of the assembly begins
+   * at, and end is the position just after the last token.
+   * 
+   * Parameters:
+   * 
+   *   text - the decoded text of the content assembly as a string
+   * 
+   *   pos - the position that this content begins at
+   * 
+   *   end - the position just after this content
+   */
+  Parser.prototype._procContent = function(text, pos, end) {
+    // Check parameters
+    if (typeof text !== "string") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    if (!Array.isArray(end)) {
+      throw new Error();
+    }
+    
+    // Ignore if text is empty
+    if (text.length < 1) {
+      return;
+    }
+    
+    // Apply line break normalization to line breaks that were escaped,
+    // except in exact mode
+    if (!this._exact) {
+      text = breakNorm(text);
+    }
+    
+    // If not in active tag state, then just make sure the text only
+    // contains spaces, tabs, and line feeds, and then return without
+    // any events
+    if (this._tstate !== 0) {
+      RX_BLANK.lastIndex = 0;
+      if (!(RX_BLANK.test(text))) {
+        // Locate the first codepoint in the token that is not a space,
+        // tab, or line feed
+        const token = this._tok[1];
+        let i = 0;
+        for(i = 0; i < token.length; i++) {
+          const c = token.charAt(i);
+          if ((c !== " ") && (c !== "\t") && (c !== "\n")) {
+            break;
+          }
+        }
+        this._fault(this._parseErr(this._tokenPos(i), "STRAY_CONTENT",
+          "Text content not allowed outside root element"));
+      }
+      return;
+    }
+    
+    // If blank content is being skipped, drop whitespace-only text
+    // unless xml:space is honored and preserves it
+    if (this._skipblank) {
+      RX_BLANK.lastIndex = 0;
+      if (RX_BLANK.test(text) &&
+          ((!this._honorsp) || (!this._spacePreserved()))) {
+        return;
+      }
+    }
+    
+    // We are in active state, so normalize the content text to NFC
+    // except in exact mode, and add to event buffer
+    this._buf.push({
+      "type": 0,
+      "pos" : pos,
+      "end" : end,
+      "text": this._exact ? text : text.normalize("NFC")
+    });
+  };
+  
+  /*
+   * Determine whether xml:space="preserve" is in effect for content
+   * that is being processed.
+   * 
+   * The open elements on the event stack are searched from the
+   * innermost outwards for an xml:space attribute.  The nearest one
+   * decides, and any value other than "preserve" counts as the default
+   * behavior.
+   * 
+   * Return:
+   * 
+   *   true if xml:space="preserve" is in effect, false otherwise
+   */
+  Parser.prototype._spacePreserved = function() {
+    for(let i = this._estack.length - 1; i >= 0; i--) {
+      const xa = this._estack[i].ext[
+                    "http://www.w3.org/XML/1998/namespace"];
+      if ((xa !== undefined) && ("space" in xa)) {
+        return (xa.space === "preserve");
+      }
+    }
+    return false;
+  };
+  
+  /*
+   * Process the content assembly that is being built, if there is one,
+   * and then clear it.
+   */
+  Parser.prototype._flushContent = function() {
+    if (this._content !== null) {
+      this._procContent(this._content, this._cpos, this._cend);
+      this._content = null;
+      this._cpos    = null;
+      this._cend    = null;
+    }
+  };
+  
+  /*
+   * Process the XML declaration token.
+   * 
+   * token is the whole token, which must be the first token and the
+   * most recent token read by _readToken().  pos is the position that
+   * the token began at.
+   * 
+   * The version, encoding, and standalone declaration are stored in the
+   * parser.  If checking is enabled, the declared encoding is compared
+   * to the actual encoding of the input, and a declaration that can't
+   * be parsed is a parsing error.  Otherwise, a declaration that can't
+   * be parsed is ignored.
+   * 
+   * Parameters:
+   * 
+   *   token - the XML declaration token
+   * 
+   *   pos - the position of the token
+   */
+  Parser.prototype._procDecl = function(token, pos) {
+    // Check parameters
+    if (typeof token !== "string") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Parse the declaration
+    RX_PARSE_XML_DECL.lastIndex = 0;
+    const retval = RX_PARSE_XML_DECL.exec(token);
+    if (retval === null) {
+      if (this._chkenc) {
+        this._fault(this._parseErr(pos, "XML_DECLARATION",
+          "Failed to parse XML declaration"));
+      }
+      return;
+    }
+    
+    // Get the first defined value of a pair of capture groups, or null
+    // if neither is defined
+    const pick = function(i) {
+      if (retval[i] !== undefined) {
+        return retval[i];
+      } else if (retval[i + 1] !== undefined) {
+        return retval[i + 1];
+      } else {
+        return null;
+      }
+    };
+    
+    this._xver = pick(1);
+    this._xenc = pick(3);
+    this._xsa  = (pick(5) !== null) ? (pick(5) === "yes") : null;
+    
+    // Determine the actual encoding, if known
+    let actual = null;
+    if (this._tdec !== null) {
+      actual = this._tdec.encoding;
+    } else if (this._bmode !== true) {
+      actual = this._encoding;
+    }
+    
+    // Check the declared encoding if requested
+    if (this._chkenc && (this._xenc !== null) && (actual !== null)) {
+      if (encodingFamily(this._xenc) !== encodingFamily(actual)) {
+        this._fault(this._parseErr(pos, "ENCODING_MISMATCH",
+          "Declared encoding " + this._xenc +
+          " conflicts with actual encoding " + actual.toUpperCase()));
+      }
+    }
+  };
+  
+  /*
+   * Process a comment, processing instruction, or DOCTYPE token.
+   * 
+   * token is the whole token, which must be the most recent token read
+   * by _readToken().  pos is the position that the token began at.
+   * 
+   * If events are not enabled for this kind of token, nothing is done.
+   * Otherwise, the content assembly is flushed and an event is added
+   * to the buffer.  A processing instruction with the target "xml" is
+   * an XML declaration that is not at the start of input, since that
+   * one is handled by _procDecl(), so it is a parsing error instead of
+   * an event.
+   * 
+   * Parameters:
+   * 
+   *   token - the token string to process
+   * 
+   *   pos - the position of the token
+   * 
+   * Return:
+   * 
+   *   true if an event was added to the buffer, false otherwise
+   */
+  Parser.prototype._procMarkup = function(token, pos) {
+    // Check parameters
+    if (typeof token !== "string") {
+      throw new Error();
+    }
+    if (!Array.isArray(pos)) {
+      throw new Error();
+    }
+    
+    // Parse the token into an event, or return if not enabled
+    let ev = null;
+    let retval = null;
+    
+    if (token.startsWith("<!--")) {
+      // Comment
+      if (!this._ecomment) {
+        return false;
+      }
+      const ctext = token.slice(4, -3);
+      ev = {
+        "type": 2,
+        "text": this._exact ? ctext : ctext.normalize("NFC")
+      };
+      
+    } else if (token.startsWith("<?")) {
+      // Processing instruction
+      if (!this._einstr) {
+        return false;
+      }
+      
+      RX_PARSE_PI.lastIndex = 0;
+      if ((retval = RX_PARSE_PI.exec(token)) === null) {
+        this._fault(this._parseErr(pos, "INSTRUCTION_SYNTAX",
+          "Failed to parse processing instruction"));
+        return false;
+      }
+      
+      // An XML declaration anywhere but at the start of input is
+      // reported rather than being dropped without notice
+      const target = retval[1].normalize("NFC");
+      if (target === "xml") {
+        this._fault(this._parseErr(pos, "XML_DECLARATION",
+          "XML declaration is only allowed at the start of the file"));
+        return false;
+      }
+      if (!validName(target)) {
+        this._fault(this._parseErr(this._tokenPos(2), "INVALID_NAME",
+          "Invalid instruction target '" + target + "'"));
+        return false;
+      }
+      
+      const data = (retval[2] !== undefined) ? retval[2] : "";
+      ev = {
+        "type"  : 3,
+        "target": target,
+        "data"  : this._exact ? data : data.normalize("NFC")
+      };
+      
+    } else if (token.startsWith("<!DOCTYPE")) {
+      // DOCTYPE declaration
+      if (!this._edoctype) {
+        return false;
+      }
+      
+      RX_PARSE_DOCTYPE.lastIndex = 0;
+      if ((retval = RX_PARSE_DOCTYPE.exec(token)) === null) {
+        this._fault(this._parseErr(pos, "DOCTYPE_SYNTAX",
+          "Failed to parse DOCTYPE declaration"));
+        return false;
+      }
+      
+      const dname = retval[1].normalize("NFC");
+      if (!validName(dname)) {
+        this._fault(this._parseErr(
+          this._tokenPos(token.indexOf(retval[1], 9)),
+          "INVALID_NAME",
+          "Invalid DOCTYPE name '" + dname + "'"));
+        return false;
+      }
+      
+      // Get the first defined value among a range of capture groups,
+      // or null if none are defined
+      const pick = function(i, j) {
+        for( ; i <= j; i++) {
+          if (retval[i] !== undefined) {
+            return retval[i].normalize("NFC");
+          }
+        }
+        return null;
+      };
+      
+      let sys = pick(2, 3);
+      if (sys === null) {
+        sys = pick(6, 7);
+      }
+      
+      ev = {
+        "type": 4,
+        "name": dname,
+        "pub" : pick(4, 5),
+        "sys" : sys
+      };
+      
+    } else {
+      // Any other markup, such as CDATA, is not handled here
+      throw new Error();
+    }
+    
+    // Flush the content assembly and add the event
+    this._flushContent();
+    
+    ev.pos = pos;
+    ev.end = this._here();
+    this._buf.push(ev);
+    
+    return true;
+  };
+  
+  /*
+   * Refill the event buffer by processing tokens until at least one
+   * event has been buffered or until no further tokens are available.
+   * 
+   * In push mode, a content assembly that reaches the end of the input
+   * received so far is left in progress, since it may be continued by
+   * further input.
+   */
+  Parser.prototype._fill = function() {
+    // Keep processing tokens until we run out of tokens
+    for(let retval = this._readToken();
+        retval !== null;
+        retval = this._readToken()) {
+      
+      let token_pos = retval[0];
+      let token     = retval[1];
+      
+      // If this is a CDATA token, then add it to the content buffer
+      let retval2 = null;
+      RX_CDATA.lastIndex = 0;
+      
+      if ((retval2 = RX_CDATA.exec(token)) !== null) {
+        this._addContent(retval2[1], token_pos);
+        continue;
+      }
+      
+      // If this is an XML declaration at the start of input, process
+      // it; anywhere else, it is left to _procMarkup(), which reports
+      // it if instruction events are enabled and otherwise skips it
+      // like any other instruction
+      RX_XML_DECL_START.lastIndex = 0;
+      if ((this._ntok === 1) && RX_XML_DECL_START.test(token)) {
+        this._procDecl(token, token_pos);
+        continue;
+      }
+      
+      // Process instruction, DOCTYPE, and comment tokens, which are
+      // skipped unless events have been enabled for them; if an event
+      // was added, leave loop
+      if (token.startsWith("<!") || token.startsWith("<?")) {
+        if (this._procMarkup(token, token_pos)) {
+          break;
+        }
+        continue;
+      }
+      
+      // If this is the failure token, which is only returned in
+      // recovery mode, then treat it as literal text
+      if (token === "<") {
+        this._addContent(token, token_pos);
+        continue;
+      }
+      
+      // If this is a text token, then add it to the content buffer
+      // after applying entity escaping
+      if (!token.startsWith("<")) {
+        this._addContent(this._entEsc(token, 0), token_pos);
+        continue;
+      }
+      
+      // If we got here, then we're dealing with a regular tag token,
+      // so first of all flush the content buffer if filled
+      this._flushContent();
+      
+      // Now process the tag
+      this._procTag(token, token_pos);
+      
+      // If buffer is no longer empty, leave loop
+      if (this._buf.length > 0) {
+        break;
+      }
+    }
+    
+    // If all input has been tokenized, flush the content buffer if
+    // filled
+    if (this._done) {
+      this._flushContent();
+    }
+  };
+  
+  /*
+   * Public instance functions
+   * =========================
+   */
+  
+  /*
+   * Set a data source name for use in diagnostics.
+   * 
+   * Any current data source name is overwritten.  Passing null is
+   * allowed, and has the effect of blanking the source name.
+   * 
+   * If a non-null data source name is defined, it will be included in
+   * error messages thrown by this module during parsing.
+   * 
+   * Parameters:
+   * 
+   *   str - string containing the data source name, or null.,
+   */
+  Parser.prototype.setSourceName = function(str) {
+    if (str !== null) {
+      if (typeof str !== "string") {
+        throw new Error();
+      }
+    }
+    this._sname = str;
+  };
+  
+  /*
+   * Get the current data source name, or null if none defined.
+   * 
+   * Return:
+   * 
+   *   string containing the data source name, or null
+   */
+  Parser.prototype.getSourceName = function() {
+    return this._sname;
+  };
+  
+  /*
+   * Add a chunk of input to a parser that was constructed in push mode.
+   * 
+   * Chunks may be split anywhere, including within tags, CDATA blocks,
+   * comments, entity escapes, CR+LF line breaks, and surrogate pairs.
+   * Empty chunks are ignored.
+   * 
+   * This may not be used after end() has been called, nor on a parser
+   * that was constructed with a full string.
+   * 
+   * Parameters:
+   * 
+   *   str - the next chunk of the XML file
+   */
+  Parser.prototype.feed = function(str) {
+    // Check parameters and state
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    if (this._eof) {
+      throw new Error("Input has already ended");
+    }
+    if (this._bmode === true) {
+      throw new Error("Parser is receiving binary input");
+    }
+    
+    // Append the chunk
+    this._bmode = false;
+    this._append(str);
+  };
+  
+  /*
+   * Add a chunk of binary input to a parser that was constructed in
+   * push mode.
+   * 
+   * The chunk may be given as a Uint8Array or an ArrayBuffer.  The
+   * encoding is detected from a byte order mark at the start of the
+   * binary input in the same way as readFullText(), and decoding is
+   * performed incrementally.  Chunks may be split anywhere, including
+   * within the byte order mark and within multi-byte sequences.  Empty
+   * chunks are ignored.
+   * 
+   * The same parser may not receive both string input through feed()
+   * and binary input through this function.  This may not be used after
+   * end() has been called.
+   * 
+   * A ParserFault is thrown if the binary input is not properly
+   * encoded.
+   * 
+   * Parameters:
+   * 
+   *   ubuf - the next chunk of the binary XML file
+   */
+  Parser.prototype.feedBytes = function(ubuf) {
+    // Check parameters and state
+    if (ubuf instanceof ArrayBuffer) {
+      ubuf = new Uint8Array(ubuf);
+    }
+    if (!(ubuf instanceof Uint8Array)) {
+      throw new Error();
+    }
+    if (this._eof) {
+      throw new Error("Input has already ended");
+    }
+    if (this._bmode === false) {
+      throw new Error("Parser is receiving string input");
+    }
+    
+    // Decode the chunk
+    this._bmode = true;
+    if (ubuf.length > 0) {
+      this._decodeBytes(ubuf, false);
+    }
+  };
+  
+  /*
+   * Indicate that all input has been fed to a push mode parser.
+   * 
+   * For binary input, this also verifies that the input does not end
+   * in the middle of an encoded character.
+   * 
+   * Calling this more than once has no further effect.  It is also
+   * harmless to call this on a parser constructed with a full string.
+   */
+  Parser.prototype.end = function() {
+    // Ignore if already ended
+    if (this._eof) {
+      return;
+    }
+    
+    // Flush any binary input still held by the decoder
+    if (this._bmode === true) {
+      this._decodeBytes(new Uint8Array(0), true);
+    }
+    
+    // Set end of input
+    this._eof = true;
+  };
+  
+  /*
+   * Read the next parsing event from the parser.
+   * 
+   * Returns true if a new event is available, or false if there are no
+   * more parsing events.  After this function returns false, any
+   * further calls will also return false.
+   * 
+   * In push mode, null is returned if no further event can be read
+   * until more input is provided with feed() or the end of input is
+   * indicated with end().  Parsing resumes where it left off with the
+   * next call after that.  null is never returned after end().
+   * 
+   * This must be called before reading the first parsing event.  In
+   * other words, the first parsing event is not immediately available
+   * after parser construction.
+   * 
+   * Throws errors in case of parsing problems.  Undefined behavior
+   * occurs if you catch an error and then try to continue parsing.
+   * 
+   * In recovery mode, parsing problems are recorded in the list
+   * returned by faults() instead, and parsing continues.  Encoding
+   * errors in binary input are still thrown in recovery mode.
+   * 
+   * Return:
+   * 
+   *   true if a new event is available, false if there are no more
+   *   events, or null if more input is needed
+   */
+  Parser.prototype.readEvent = function() {
+    
+    // Make sure the buffer has the next event, if there is one
+    const result = this._prime();
+    
+    // If buffer is filled then grab the next event and update the
+    // element path; else, clear the current event
+    if (result === true) {
+      this._cur = this._buf.shift();
+      this._trackPath();
+    } else {
+      this._cur = null;
+    }
+    
+    // Return result
+    return result;
+  };
+  
+  /*
+   * Determine the next parsing event without reading it.
+   * 
+   * The next event is returned as an event object, the same as those
+   * yielded by events().  The event remains buffered, so the next call
+   * to readEvent() will load it.  The current event is not changed.
+   * 
+   * false is returned if there are no more parsing events, and null is
+   * returned if more input is needed, in the same way as readEvent().
+   * 
+   * Parsing errors may be thrown in the same way as readEvent(), since
+   * the next event must be parsed before it can be returned.
+   * 
+   * Return:
+   * 
+   *   the next event object, false if there are no more events, or
+   *   null if more input is needed
+   */
+  Parser.prototype.peekEvent = function() {
+    const result = this._prime();
+    if (result === true) {
+      return eventRecord(this._buf[0]);
+    } else {
+      return result;
+    }
+  };
+  
+  /*
+   * Return the parsing errors that have been recorded so far in
+   * recovery mode.
+   * 
+   * The errors are in the order they were encountered.  Each is a
+   * ParserFault object with its position and error code.  The list is
+   * always empty if the parser is not in recovery mode.
+   * 
+   * The returned array is a copy, so modifying it has no effect on the
+   * parser.
+   * 
+   * Return:
+   * 
+   *   array of ParserFault objects
+   */
+  Parser.prototype.faults = function() {
+    return this._faults.slice();
+  };
+  
+  /*
+   * Determine the XML version declared in the XML declaration.
+   * 
+   * The XML declaration is read along with the first event, so this
+   * should only be used after readEvent() has been called.
+   * 
+   * Return:
+   * 
+   *   the declared version string such as "1.0", or null if there is
+   *   no XML declaration
+   */
+  Parser.prototype.xmlVersion = function() {
+    return this._xver;
+  };
+  
+  /*
+   * Determine the encoding declared in the XML declaration.
+   * 
+   * The XML declaration is read along with the first event, so this
+   * should only be used after readEvent() has been called.
+   * 
+   * The encoding name is returned exactly as declared.  It does not
+   * affect how the input is decoded.
+   * 
+   * Return:
+   * 
+   *   the declared encoding name, or null if not declared
+   */
+  Parser.prototype.declaredEncoding = function() {
+    return this._xenc;
+  };
+  
+  /*
+   * Determine the standalone declaration in the XML declaration.
+   * 
+   * The XML declaration is read along with the first event, so this
+   * should only be used after readEvent() has been called.
+   * 
+   * Return:
+   * 
+   *   true for "yes", false for "no", or null if not declared
+   */
+  Parser.prototype.standalone = function() {
+    return this._xsa;
+  };
+  
+  /*
+   * Determine the type of parsing event that is currently loaded.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available.
+   * 
+   * The return value is 1 for a starting tag, 0 for content text, or -1
+   * for an ending tag.  If events have been enabled for them with the
+   * constructor options, the return value may also be 2 for a comment,
+   * 3 for a processing instruction, or 4 for a DOCTYPE declaration.
+   * 
+   * Return:
+   * 
+   *   1 for starting tag, 0 for content text, -1 for ending tag, 2 for
+   *   comment, 3 for processing instruction, 4 for DOCTYPE
+   */
+  Parser.prototype.eventType = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get type
+    return this._cur.type;
+  };
+  
+  /*
+   * Determine the line number in the XML file where the current parsing
+   * event begins.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available.
+   * 
+   * The first line is line 1.
+   * 
+   * Return:
+   * 
+   *   the line number of the current event
+   */
+  Parser.prototype.lineNumber = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get line number
+    return this._cur.pos[0];
+  };
+  
+  /*
+   * Determine the column number in the XML file where the current
+   * parsing event begins.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available.
+   * 
+   * The first column of each line is column 1.  Columns are counted in
+   * UTF-16 code units, so codepoints outside the Basic Multilingual
+   * Plane occupy two columns.
+   * 
+   * Return:
+   * 
+   *   the column number of the current event
+   */
+  Parser.prototype.columnNumber = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get column number
+    return this._cur.pos[1];
+  };
+  
+  /*
+   * Determine the offset in the XML file where the current parsing
+   * event begins.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available.
+   * 
+   * The offset is counted in UTF-16 code units from the start of the
+   * XML file, with the first offset being zero.  For a parser that was
+   * constructed with a string, this is an index into that string.  For
+   * binary input, offsets are counted in the decoded text, not counting
+   * any byte order mark.
+   * 
+   * Return:
+   * 
+   *   the offset of the current event
+   */
+  Parser.prototype.offset = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get offset
+    return this._cur.pos[2];
+  };
+  
+  /*
+   * Determine the line number, column number, and offset in the XML
+   * file just after the end of the current parsing event.
+   * 
+   * These functions may only be used after readEvent() has indicated
+   * that an event is available.
+   * 
+   * Starting and ending tag events end just after the closing ">" of
+   * the tag.  Both the starting and ending tag events of an empty tag
+   * cover the whole empty tag.  Content text events end just after the
+   * last text token or CDATA block in the content.
+   * 
+   * Return:
+   * 
+   *   the line number, column number, or offset at the end of the
+   *   current event
+   */
+  Parser.prototype.endLineNumber = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get line number
+    return this._cur.end[0];
+  };
+  
+  Parser.prototype.endColumnNumber = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get column number
+    return this._cur.end[1];
+  };
+  
+  Parser.prototype.endOffset = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Get offset
+    return this._cur.end[2];
+  };
+  
+  /*
+   * Determine the decoded content text of a content text event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 0 (content text).
+   * 
+   * The content text has already been decoded for entity escapes, and
+   * it has already been normalized both for line breaks and for Unicode
+   * NFC.
+   * 
+   * Content text events only occur when they are enclosed in tags.  All
+   * whitespace is included in content text, and content text events are
+   * always concatenated so that there is a single span covering
+   * everything between tags, even across CDATA blocks.
+   * 
+   * Return:
+   * 
+   *   the content text of the current event
+   */
+  Parser.prototype.contentText = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 0) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get text
+    return this._cur.text;
+  };
+  
+  /*
+   * Determine the element name of a starting or ending element event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element)
+   * or -1 (ending element).
+   * 
+   * The element name is the local name and never includes any namespace
+   * prefix.  It has already been normalized to NFC.  For ending element
+   * events, it is the same as for the matching starting element event.
+   * 
+   * Return:
+   * 
+   *   the element name in the current event
+   */
+  Parser.prototype.elementName = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if ((this._cur.type !== 1) && (this._cur.type !== -1)) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Query
+    return this._cur.name;
+  };
+  
+  /*
+   * Determine the element namespace value of a starting or ending
+   * element event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element)
+   * or -1 (ending element).
+   * 
+   * The namespace value is usually the namespace URI.  null is returned
+   * if this element is not in any namespace.  For ending element
+   * events, it is the same as for the matching starting element event.
+   * 
+   * Return:
+   * 
+   *   the namespace value (URI) of the element or null if no namespace
+   */
+  Parser.prototype.elementNS = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if ((this._cur.type !== 1) && (this._cur.type !== -1)) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Query
+    return this._cur.ns;
+  };
+  
+  /*
+   * Determine the line number in the XML file where the starting tag of
+   * the current element begins.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element)
+   * or -1 (ending element).
+   * 
+   * For starting element events, this is the same as lineNumber().  For
+   * ending element events, this is the line number of the matching
+   * starting element event.
+   * 
+   * Return:
+   * 
+   *   the line number of the starting tag
+   */
+  Parser.prototype.startLineNumber = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Query
+    if (this._cur.type === 1) {
+      return this._cur.pos[0];
+    } else if (this._cur.type === -1) {
+      return this._cur.spos[0];
+    } else {
+      throw new Error("Wrong event type");
+    }
+  };
+  
+  /*
+   * Return the plain attribute map as an object mapping attribute names
+   * to attribute values.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The returned object has the attribute names as keys and their
+   * values as values.  Normalization and entity decoding has already
+   * been performed.
+   * 
+   * Only attribute names that are not in any namespace are included.
+   * The special "xmlns" attribute is excluded.
+   * 
+   * The returned object is the parser's copy, so clients should not
+   * modify it.
+   * 
+   * Return:
+   * 
+   *   object mapping plain attribute names to their values
+   */
+  Parser.prototype.attr = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 1) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Query
+    return this._cur.attr;
+  };
+  
+  /*
+   * Return the namespaced attribute map.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The object maps namespace values to object values that hold a
+   * mapping of attribute names to attribute values within that
+   * namepsace.
+   * 
+   * Attributes with "xmlns:" prefixes are not included in this mapping.
+   *
+   * The returned object is the parser's copy, so clients should not
+   * modify it.
+   * 
+   * Return:
+   * 
+   *   two-level object mapping representing namespaced attributes
+   */
+  Parser.prototype.externalAttr = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 1) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Query
+    return this._cur.ext;
+  };
+  
+  /*
+   * Read a plain attribute of the current starting element event as an
+   * integer.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be a base-10 integer with an optional sign.  The
+   * opts object may have "min" and "max" properties, which give an
+   * inclusive range that the value must be within.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   name - the attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the integer value, the default, or null
+   */
+  Parser.prototype.attrInt = function(name, opts) {
+    return this._attrInt(null, name, opts);
+  };
+  
+  /*
+   * Read a namespaced attribute of the current starting element event
+   * as an integer.
+   * 
+   * This is the same as attrInt(), except that the attribute is looked
+   * up in externalAttr() by its namespace value and local name, rather
+   * than in attr().
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be a base-10 integer with an optional sign.  The
+   * opts object may have "min" and "max" properties, which give an
+   * inclusive range that the value must be within.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the integer value, the default, or null
+   */
+  Parser.prototype.attrIntNS = function(ns, name, opts) {
+    return this._attrInt(ns, name, opts);
+  };
+  
+  /*
+   * Read a plain attribute of the current starting element event as a
+   * number.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be a decimal number with an optional sign and an
+   * optional exponent.  The opts object may have "min" and "max"
+   * properties, which give an inclusive range that the value must be
+   * within.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   name - the attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the numeric value, the default, or null
+   */
+  Parser.prototype.attrNum = function(name, opts) {
+    return this._attrNum(null, name, opts);
+  };
+  
+  /*
+   * Read a namespaced attribute of the current starting element event
+   * as a number.
+   * 
+   * This is the same as attrNum(), except that the attribute is looked
+   * up in externalAttr() by its namespace value and local name, rather
+   * than in attr().
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be a decimal number with an optional sign and an
+   * optional exponent.  The opts object may have "min" and "max"
+   * properties, which give an inclusive range that the value must be
+   * within.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the numeric value, the default, or null
+   */
+  Parser.prototype.attrNumNS = function(ns, name, opts) {
+    return this._attrNum(ns, name, opts);
+  };
+  
+  /*
+   * Read a plain attribute of the current starting element event as a
+   * boolean.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be "true" or "1" for true, or "false" or "0" for
+   * false.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   name - the attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the boolean value, the default, or null
+   */
+  Parser.prototype.attrBool = function(name, opts) {
+    return this._attrBool(null, name, opts);
+  };
+  
+  /*
+   * Read a namespaced attribute of the current starting element event
+   * as a boolean.
+   * 
+   * This is the same as attrBool(), except that the attribute is looked
+   * up in externalAttr() by its namespace value and local name, rather
+   * than in attr().
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be "true" or "1" for true, or "false" or "0" for
+   * false.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the boolean value, the default, or null
+   */
+  Parser.prototype.attrBoolNS = function(ns, name, opts) {
+    return this._attrBool(ns, name, opts);
+  };
+  
+  /*
+   * Read a plain attribute of the current starting element event as
+   * one of an enumerated set of strings.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be exactly equal to one of the strings in values.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   name - the attribute name
+   * 
+   *   values - array of the allowed strings
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the attribute value, the default, or null
+   */
+  Parser.prototype.attrEnum = function(name, values, opts) {
+    return this._attrEnum(null, name, values, opts);
+  };
+  
+  /*
+   * Read a namespaced attribute of the current starting element event
+   * as one of an enumerated set of strings.
+   * 
+   * This is the same as attrEnum(), except that the attribute is looked
+   * up in externalAttr() by its namespace value and local name, rather
+   * than in attr().
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value must be exactly equal to one of the strings in values.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.  If the value is
+   * malformed, a ParserFault with code ATTRIBUTE_VALUE is thrown at the
+   * position of the starting tag, even in recovery mode.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   values - array of the allowed strings
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the attribute value, the default, or null
+   */
+  Parser.prototype.attrEnumNS = function(ns, name, values, opts) {
+    return this._attrEnum(ns, name, values, opts);
+  };
+  
+  /*
+   * Read a plain attribute of the current starting element event as a
+   * space-separated list.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value is split on whitespace into an array of strings, which is
+   * empty if the value is empty or only whitespace.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.
+   * 
+   * Parameters:
+   * 
+   *   name - the attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the array of list items, the default, or null
+   */
+  Parser.prototype.attrList = function(name, opts) {
+    return this._attrList(null, name, opts);
+  };
+  
+  /*
+   * Read a namespaced attribute of the current starting element event
+   * as a space-separated list.
+   * 
+   * This is the same as attrList(), except that the attribute is looked
+   * up in externalAttr() by its namespace value and local name, rather
+   * than in attr().
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The value is split on whitespace into an array of strings, which is
+   * empty if the value is empty or only whitespace.
+   * 
+   * If the attribute is not present, the "default" property of opts is
+   * returned as it is, or null if there is no default.
+   * 
+   * Parameters:
+   * 
+   *   ns - the namespace value of the attribute
+   * 
+   *   name - the local attribute name
+   * 
+   *   opts - (optional) object with accessor options
+   * 
+   * Return:
+   * 
+   *   the array of list items, the default, or null
+   */
+  Parser.prototype.attrListNS = function(ns, name, opts) {
+    return this._attrList(ns, name, opts);
+  };
+  
+  /*
+   * Determine the element name of a starting element event exactly as
+   * it was written, including any namespace prefix.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element),
+   * and only if the parser was constructed with the preserve option.
+   * 
+   * The name has been normalized to NFC.
+   * 
+   * Return:
+   * 
+   *   the qualified element name
+   */
+  Parser.prototype.elementQName = function() {
+    // Check state
+    this._checkPreserve();
+    
+    // Query
+    return this._cur.qname;
+  };
+  
+  /*
+   * Determine the namespace prefix of a starting element event exactly
+   * as it was written.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element),
+   * and only if the parser was constructed with the preserve option.
+   * 
+   * Return:
+   * 
+   *   the element prefix, or null if the name has no prefix
+   */
+  Parser.prototype.elementPrefix = function() {
+    // Check state
+    this._checkPreserve();
+    
+    // Query
+    return this._cur.pfx;
+  };
+  
+  /*
+   * Return all the attributes of a starting element event in the order
+   * they were written.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element),
+   * and only if the parser was constructed with the preserve option.
+   * 
+   * The returned array has one object for each attribute, including
+   * namespace declarations.  Each object has the following properties:
+   * 
+   *   qname - the attribute name as written, including any prefix
+   * 
+   *   prefix - the namespace prefix, or null if none
+   * 
+   *   ns - the namespace value, or null if not in a namespace
+   * 
+   *   value - the attribute value after escaping and normalization
+   * 
+   *   raw - the attribute value before escaping and normalization
+   * 
+   *   quote - the quote character, either " or '
+   * 
+   * Attributes that were dropped in recovery mode are not included.
+   * 
+   * The returned array is the parser's copy, so clients should not
+   * modify it.
+   * 
+   * Return:
+   * 
+   *   array of attribute objects
+   */
+  Parser.prototype.orderedAttrs = function() {
+    // Check state
+    this._checkPreserve();
+    
+    // Query
+    return this._cur.alist;
+  };
+  
+  /*
+   * Determine the text of a comment event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 2 (comment).
+   * 
+   * The comment text is everything between the opening <!-- and the
+   * closing -->, normalized both for line breaks and for Unicode NFC.
+   * Entity escapes are not decoded in comments.
+   * 
+   * Return:
+   * 
+   *   the text of the current comment
+   */
+  Parser.prototype.commentText = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 2) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get text
+    return this._cur.text;
+  };
+  
+  /*
+   * Determine the target of a processing instruction event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 3 (processing
+   * instruction).
+   * 
+   * The target is the name that immediately follows the opening <? of
+   * the instruction.  It has already been normalized to NFC.
+   * 
+   * Return:
+   * 
+   *   the target of the current processing instruction
+   */
+  Parser.prototype.instructionTarget = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 3) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get target
+    return this._cur.target;
+  };
+  
+  /*
+   * Determine the data of a processing instruction event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 3 (processing
+   * instruction).
+   * 
+   * The data is everything after the whitespace that follows the
+   * target, up to the closing ?>.  It is an empty string if there is no
+   * data.  It has been normalized both for line breaks and for Unicode
+   * NFC.  Entity escapes are not decoded, and pseudo-attributes are not
+   * parsed.
+   * 
+   * Return:
+   * 
+   *   the data of the current processing instruction
+   */
+  Parser.prototype.instructionData = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 3) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get data
+    return this._cur.data;
+  };
+  
+  /*
+   * Determine the root element name declared by a DOCTYPE event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 4 (DOCTYPE).
+   * 
+   * The name is given exactly as declared, including any namespace
+   * prefix.  It has already been normalized to NFC.
+   * 
+   * Return:
+   * 
+   *   the root element name of the current DOCTYPE declaration
+   */
+  Parser.prototype.doctypeName = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 4) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get name
+    return this._cur.name;
+  };
+  
+  /*
+   * Determine the public ID declared by a DOCTYPE event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 4 (DOCTYPE).
+   * 
+   * Return:
+   * 
+   *   the public ID of the current DOCTYPE declaration, or null if
+   *   there is none
+   */
+  Parser.prototype.doctypePublicId = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 4) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get public ID
+    return this._cur.pub;
+  };
+  
+  /*
+   * Determine the system ID declared by a DOCTYPE event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 4 (DOCTYPE).
+   * 
+   * Return:
+   * 
+   *   the system ID of the current DOCTYPE declaration, or null if
+   *   there is none
+   */
+  Parser.prototype.doctypeSystemId = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 4) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Get system ID
+    return this._cur.sys;
+  };
+  
+  /*
+   * Determine the element depth of the current event.
+   * 
+   * This function may be used with any kind of event.  For starting and
+   * ending element events, the depth counts the element itself, so the
+   * root element is at depth 1.  For all other events, the depth is the
+   * number of enclosing elements, so text directly within the root
+   * element is at depth 1 and events outside the root element are at
+   * depth 0.
+   * 
+   * Return:
+   * 
+   *   the element depth of the current event
+   */
+  Parser.prototype.depth = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Query
+    return this._path.length;
+  };
+  
+  /*
+   * Determine the element path of the current event.
+   * 
+   * This function may be used with any kind of event.  The path is an
+   * array with one element for each level of depth(), starting with the
+   * root element.  For starting and ending element events, the last
+   * element of the path is the element itself.  For all other events,
+   * the path holds the enclosing elements.
+   * 
+   * Each element of the path is an object with properties "ns" and
+   * "name", which have the same values as elementNS() and elementName()
+   * would return for that element.
+   * 
+   * The returned array is a copy, but the objects within it are the
+   * parser's copies, so clients should not modify them.
+   * 
+   * Return:
+   * 
+   *   array of objects describing the element path
+   */
+  Parser.prototype.elementPath = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    
+    // Query
+    return this._path.slice();
+  };
+  
+  /*
+   * Skip past the whole element of the current starting element event.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * Events are read up to and including the matching ending element
+   * event, which is left as the current event.  The skipped content is
+   * still fully parsed and checked, so parsing errors are thrown in the
+   * same way as for readEvent().
+   * 
+   * In push mode, null is returned if more input is needed before the
+   * end of the element.  Feed more input and call this function again
+   * to resume, without calling readEvent() in between.
+   * 
+   * Return:
+   * 
+   *   true if the element was skipped, or null if more input is needed
+   */
+  Parser.prototype.skipElement = function() {
+    return this._subtree(false);
+  };
+  
+  /*
+   * Read the whole element of the current starting element event and
+   * return it.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * Events are read up to and including the matching ending element
+   * event, which is left as the current event.  Parsing errors are
+   * thrown in the same way as for readEvent().
+   * 
+   * If format is "events", the result is an array of event objects,
+   * the same as those yielded by events(), starting with the starting
+   * element event and ending with the matching ending element event.
+   * 
+   * If format is "tree", which is the default, the result is the event
+   * object of the starting element event, with an additional property
+   * "children".  This is an array of the event objects of the content,
+   * in which each child element is given as a tree in the same way.
+   * Ending element events are not included in the tree.
+   * 
+   * In push mode, null is returned if more input is needed before the
+   * end of the element.  Feed more input and call this function again
+   * with the same format to resume, without calling readEvent() in
+   * between.
+   * 
+   * Parameters:
+   * 
+   *   format - (optional) "tree" or "events"
+   * 
+   * Return:
+   * 
+   *   the captured element, or null if more input is needed
+   */
+  Parser.prototype.captureElement = function(format) {
+    // Check parameters
+    if (format === undefined) {
+      format = "tree";
+    }
+    if ((format !== "tree") && (format !== "events")) {
+      throw new Error();
     }
     
-    // We now have a binary string, so decode it with UTF-8
-    const tdec = new TextDecoder("utf-8", {
-      "fatal": true,
-      "ignoreBOM": true
-    });
+    // Capture the events
+    const recs = this._subtree(true);
+    if (recs === null) {
+      return null;
+    }
     
-    let result;
-    try {
-      result = tdec.decode(buf);
-    } catch (ex) {
-      throw new Error("Invalid UTF-8 encoding within Base64");
+    // Return in the requested format
+    if (format === "events") {
+      return recs;
+    } else {
+      return buildTree(recs);
+    }
+  };
+  
+  /*
+   * Get the namespace context object of the current event.
+   * 
+   * The context of an element on the element path is used, falling
+   * back to the context at the bottom of the namespace stack outside of
+   * the root element.
+   * 
+   * Return:
+   * 
+   *   object mapping prefixes to namespace values
+   */
+  Parser.prototype._curContext = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
     }
     
-    // Check that codepoints are valid
-    RX_VALID_UNICODE.lastIndex = 0;
-    if (!RX_VALID_UNICODE.test(result)) {
-      throw new Error("String has invalid codepoints");
+    // Get context
+    if (this._pctx.length > 0) {
+      return this._pctx[this._pctx.length - 1];
+    } else {
+      return this._nstack[0];
+    }
+  };
+  
+  /*
+   * Get the inherited xml: attribute value of the current event.
+   * 
+   * Parameters:
+   * 
+   *   key - "lang", "space", or "base"
+   * 
+   * Return:
+   * 
+   *   the inherited value, or null
+   */
+  Parser.prototype._curXML = function(key) {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
     }
     
-    // Return decoded string
-    return result;
-  }
+    // Get value
+    if (this._pxml.length > 0) {
+      return this._pxml[this._pxml.length - 1][key];
+    } else if (key === "base") {
+      return this._xbase;
+    } else {
+      return null;
+    }
+  };
   
   /*
-   * ParserFault class
-   * =================
+   * Determine the xml:lang value in effect for the current event.
    * 
-   * This simple class just stores an parsing error message as a string.
+   * This function may be used with any kind of event.  For starting and
+   * ending element events, an xml:lang attribute on the element itself
+   * applies.  For all other events, the value is inherited from the
+   * enclosing elements.
    * 
-   * Instances of this class are thrown instead of Error when a parsing
-   * error occurs.  This allows clients to distinguish between parsing
-   * errors and all other kinds of errors.
+   * An empty string is returned if xml:lang="" is in effect, which
+   * declares that the language is unknown.
    * 
-   * This class has a message property and a toString() implementation
-   * so that it works the same way as Error in most cases.
+   * Return:
+   * 
+   *   the language tag in effect, or null if none
    */
+  Parser.prototype.xmlLang = function() {
+    return this._curXML("lang");
+  };
   
-  function ParserFault(message) {
-    if (typeof message !== "string") {
-      throw new Error();
-    }
-    this.message = message;
-  }
+  /*
+   * Determine the xml:space value in effect for the current event.
+   * 
+   * This function may be used with any kind of event, with the same
+   * scope as xmlLang().
+   * 
+   * Return:
+   * 
+   *   the xml:space value in effect, such as "preserve" or "default",
+   *   or null if none
+   */
+  Parser.prototype.xmlSpace = function() {
+    return this._curXML("space");
+  };
   
-  ParserFault.prototype.toString = function() {
-    return "ParserFault: " + this.message;
+  /*
+   * Determine the base URI in effect for the current event.
+   * 
+   * This function may be used with any kind of event, with the same
+   * scope as xmlLang().  Each xml:base attribute is resolved against
+   * the base URI in effect for its element, starting with the baseURI
+   * parser option.  Without an absolute base URI, relative values are
+   * merged with each other, so the result may still be relative.
+   * 
+   * Return:
+   * 
+   *   the base URI in effect, or null if none
+   */
+  Parser.prototype.xmlBase = function() {
+    return this._curXML("base");
   };
   
   /*
-   * Constructor
-   * ===========
+   * Return the namespace mappings that are in scope for the current
+   * event.
+   * 
+   * This function may be used with any kind of event.  For starting and
+   * ending element events, the mappings include those declared on the
+   * element itself.  For all other events, the mappings are those of
+   * the enclosing element.
+   * 
+   * The returned object maps namespace prefixes to namespace values.
+   * The default namespace, if there is one, has the empty string as its
+   * prefix.  The "xml" and "xmlns" prefixes are always included.
+   * 
+   * The returned object is a copy, so modifying it has no effect on the
+   * parser.
+   * 
+   * Return:
+   * 
+   *   object mapping prefixes to namespace values
    */
+  Parser.prototype.namespaceContext = function() {
+    return Object.assign({}, this._curContext());
+  };
   
   /*
-   * Construct a LeafXML parser that will parse a full XML file given as
-   * a string.
+   * Find the namespace value mapped to a prefix in the scope of the
+   * current event.
+   * 
+   * This function may be used with any kind of event, with the same
+   * scope as namespaceContext().  Pass the empty string to look up the
+   * default namespace.
    * 
    * Parameters:
    * 
-   *   str - a string containing the whole XML file to parse
+   *   prefix - the namespace prefix to look up
+   * 
+   * Return:
+   * 
+   *   the namespace value, or null if the prefix is not mapped
    */
-  function Parser(str) {
+  Parser.prototype.lookupNamespace = function(prefix) {
     // Check parameters
-    if (typeof str !== "string") {
+    if (typeof prefix !== "string") {
       throw new Error();
     }
     
-    // _str stores the XML string
-    this._str = str;
-    
-    // _rx stores a instance of the tokenizer regular expression that is
-    // specific to this parser instance
-    this._rx = new RegExp(RXS_READ_TOKEN, "usg");
-    
-    // _sname stores the data source name, or null if not defined
-    this._sname = null;
-    
-    // _done is set to true once parsing is complete
-    this._done = false;
-    
-    // _lnum is the current line number in the XML file
-    this._lnum = 1;
-    
-    // _buf is the event buffer.
-    //
-    // Each element is a subarray.  Subarrays always have at least one
-    // element, where the first element is the line number the element
-    // began on.
-    //
-    // Ending tag subarrays always just have the one element with the
-    // line number.
-    //
-    // Content text subarrays always have two elements, where the first
-    // is the line number and the second is the decoded content text.
-    //
-    // Starting tag subarrays always have five elements:
-    //
-    //   (1) Line number
-    //   (2) Element name
-    //   (3) Element namespace, or undef
-    //   (4) Attribute map, hash reference
-    //   (5) External attribute map, hash reference
-    //
-    this._buf = [];
-    
-    // _cur is the current loaded element, or null if none.
-    //
-    // Has the same format as the elements in the event buffer.
-    //
-    this._cur = null;
-    
-    // _tstate is the tag state.
-    //
-    // 1 means initial state, 0 means active state, -1 means finished
-    // state.
-    //
-    this._tstate = 1;
-    
-    // _tstack is the tag stack.
-    //
-    // Each starting element pushes the element name onto the tag stack.
-    // Each ending element pops an element name off the tag stack, after
-    // verifying it matches.
-    //
-    this._tstack = [];
+    // Look up prefix
+    const ctx = this._curContext();
+    if (Object.prototype.hasOwnProperty.call(ctx, prefix)) {
+      return ctx[prefix];
+    } else {
+      return null;
+    }
+  };
+  
+  /*
+   * Find a prefix that is mapped to a namespace value in the scope of
+   * the current event.
+   * 
+   * This function may be used with any kind of event, with the same
+   * scope as namespaceContext().  The default namespace is never
+   * returned, since it has no prefix.  If more than one prefix is
+   * mapped to the namespace value, the first one found is returned.
+   * 
+   * Parameters:
+   * 
+   *   uri - the namespace value to look up
+   * 
+   * Return:
+   * 
+   *   a prefix mapped to the namespace value, or null if there is none
+   */
+  Parser.prototype.lookupPrefix = function(uri) {
+    // Check parameters
+    if (typeof uri !== "string") {
+      throw new Error();
+    }
     
-    // _nstack is the namespace stack.
-    //
-    // This stack is never empty.  The element on top is an object that
-    // maps prefixes to namespace values.  If the empty string is used
-    // as a prefix, it sets up a default element namespace.
-    //
-    // The stack starts out with the "xml" and "xmlns" prefixes defined.
-    //
-    this._nstack = [
-      {
-        "xml"   : "http://www.w3.org/XML/1998/namespace",
-        "xmlns" : "http://www.w3.org/2000/xmlns/"
+    // Search the context
+    const ctx = this._curContext();
+    let k = null;
+    for(k in ctx) {
+      if ((k.length > 0) && (ctx[k] === uri)) {
+        return k;
       }
-    ];
-  }
+    }
+    return null;
+  };
   
   /*
-   * Local instance functions
-   * ========================
+   * Return the namespace declarations made on the current starting
+   * element.
+   * 
+   * This function may only be used after readEvent() has indicated that
+   * an event is available and eventType indicates 1 (starting element).
+   * 
+   * The result is an array with one object for each declaration, in the
+   * order they appear in the tag.  Each object has a "prefix" property,
+   * which is the empty string for the default namespace, and a "uri"
+   * property, which is the namespace value.  Declarations that were
+   * ignored in recovery mode are not included.
+   * 
+   * Return:
+   * 
+   *   array of namespace declaration objects
+   */
+  Parser.prototype.namespaceDecls = function() {
+    // Check state
+    if (this._cur === null) {
+      throw new Error("No event loaded");
+    }
+    if (this._cur.type !== 1) {
+      throw new Error("Wrong event type");
+    }
+    
+    // Build the list
+    const result = [];
+    let k = null;
+    for(k in this._cur.decl) {
+      result.push({
+        "prefix" : k,
+        "uri"    : this._cur.decl[k]
+      });
+    }
+    return result;
+  };
+  
+  /*
+   * Stream adapter
+   * ==============
    */
   
   /*
-   * Generate a parsing error.
+   * Build a plain object describing a parsing event.
    * 
-   * lnum is the line number, or any integer value less than one if no
-   * line number available.  detail is the actual error message.
-   *
-   * This function does not raise the error itself.
+   * ev is one of the parser's internal event objects, such as the
+   * current event of a parser or an event that is still buffered.
    * 
-   * Parameters:
+   * The object has the properties "type", "line", "column", "offset",
+   * "name", "namespace", "attrs", "externalAttrs", "text", "target",
+   * "data", "publicId", and "systemId".  Properties that do not apply
+   * to the event type are null.  The attribute maps are the parser's
+   * own copies.
    * 
-   *   lnum - the line number in the XML file
+   * Comment events use "text" for the comment text.  Processing
+   * instruction events use "target" and "data".  DOCTYPE events use
+   * "name" for the root element name, along with "publicId" and
+   * "systemId".
    * 
-   *   detail - the detail of the error message
+   * Parameters:
+   * 
+   *   ev - the internal event object
    * 
    * Return:
    * 
-   *   an ParserFault object that can be thrown
+   *   the event object
    */
-  Parser.prototype._parseErr = function(lnum, detail) {
+  function eventRecord(ev) {
     // Check parameters
-    if (!isInteger(lnum)) {
+    if ((typeof ev !== "object") || (ev === null)) {
       throw new Error();
     }
-    if (typeof detail !== "string") {
-      throw new Error();
-    }
-    
-    // Form message
-    let msg = "[XML file";
     
-    if (this._sname !== null) {
-      msg = msg + " \"" + this._sname + "\"";
+    // Fill in the fields that apply to the event type
+    const etype = ev.type;
+    const result = {
+      "type"         : etype,
+      "line"         : ev.pos[0],
+      "column"       : ev.pos[1],
+      "offset"       : ev.pos[2],
+      "name"         : null,
+      "namespace"    : null,
+      "attrs"        : null,
+      "externalAttrs": null,
+      "text"         : null,
+      "target"       : null,
+      "data"         : null,
+      "publicId"     : null,
+      "systemId"     : null
+    };
+    
+    if (etype === 1) {
+      result.name          = ev.name;
+      result.namespace     = ev.ns;
+      result.attrs         = ev.attr;
+      result.externalAttrs = ev.ext;
+      
+    } else if (etype === -1) {
+      result.name          = ev.name;
+      result.namespace     = ev.ns;
+      
+    } else if ((etype === 0) || (etype === 2)) {
+      result.text = ev.text;
+      
+    } else if (etype === 3) {
+      result.target = ev.target;
+      result.data   = ev.data;
+      
+    } else if (etype === 4) {
+      result.name     = ev.name;
+      result.publicId = ev.pub;
+      result.systemId = ev.sys;
     }
     
-    if (lnum >= 1) {
-      msg = msg  + " line " + lnum.toString();
+    // Return the event object
+    return result;
+  }
+  
+  /*
+   * Build a tree from the captured event objects of an element.
+   * 
+   * recs is an array of event objects from eventRecord() that starts
+   * with a starting element event and ends with the matching ending
+   * element event.  A "children" property is added to the event object
+   * of each starting element event, holding the event objects of its
+   * content in order.  Ending element events are dropped.
+   * 
+   * Parameters:
+   * 
+   *   recs - the array of event objects
+   * 
+   * Return:
+   * 
+   *   the event object of the root element of the tree
+   */
+  function buildTree(recs) {
+    // Check parameters
+    if (!Array.isArray(recs)) {
+      throw new Error();
+    }
+    if (recs.length < 2) {
+      throw new Error();
     }
     
-    msg = msg + "] " + detail;
+    // Attach each event to the element it belongs to
+    const root = recs[0];
+    root.children = [];
+    
+    const stack = [root];
+    for(let i = 1; i < recs.length - 1; i++) {
+      const rec = recs[i];
+      if (rec.type === 1) {
+        rec.children = [];
+        stack[stack.length - 1].children.push(rec);
+        stack.push(rec);
+      
+      } else if (rec.type === -1) {
+        stack.pop();
+      
+      } else {
+        stack[stack.length - 1].children.push(rec);
+      }
+    }
     
-    // Return error
-    return new ParserFault(msg);
-  };
+    // Return the root
+    return root;
+  }
   
   /*
-   * Read the next raw token from the XML file.
-   *
-   * Returns an array of two values.  The first value is the line number
-   * the token began on.  The second value is the token itself.
+   * Parse a binary XML file from a WHATWG ReadableStream of Uint8Array
+   * chunks, such as the body of a fetch() response.
    * 
-   * If there are no more tokens, both return value will be null.
+   * This is an async generator, intended to be used like this:
    * 
-   * The _done and _lnum instance variables will be updated by this
-   * function.
+   *   for await (const ev of LeafXML.events(response.body)) {
+   *     ...
+   *   }
    * 
-   * Line break normalization is already performed on returned tokens,
-   * because it is necessary to update the line number.  This function
-   * will also use validString() to make sure that all codepoints within
-   * the string are valid.
+   * Each yielded value is an event object as described for
+   * eventRecord().  Chunks are only read from the stream when the
+   * parser needs more input, so the stream is not read ahead of the
+   * consumer.  Parsing errors reject the iteration with a ParserFault.
+   * 
+   * If iteration is abandoned before the end of the XML file, the
+   * stream is cancelled.  The reader lock on the stream is always
+   * released when iteration finishes.
+   * 
+   * The optional options object is passed through to the Parser
+   * constructor.
+   * 
+   * Parameters:
+   * 
+   *   stream - the ReadableStream to parse
+   * 
+   *   options - (optional) an object with parser options
    * 
    * Return:
    * 
-   *   an array containing a line number and a string holding the token,
-   *   or null if no more tokens
+   *   an async iterator over event objects
    */
-  Parser.prototype._readToken = function() {
-    // If parsing is done, proceed no further and return no more tokens
-    if (this._done) {
-      return null;
-    }
-    
-    // If parsing is not done, attempt to get another token
-    let   token = null;
-    const retval = this._rx.exec(this._str);
-    
-    if (retval !== null) {
-      // We got a token
-      token = retval[0];
-    
-    } else {
-      // No further tokens
-      this._done = true;
-      return null;
-    }
-    
-    // Check for parsing error
-    if (token === "<") {
-      throw self._parseErr(this._lnum, "XML tokenization failed");
+  async function* events(stream, options) {
+    // Check parameters
+    if ((typeof stream !== "object") || (stream === null) ||
+        (typeof stream.getReader !== "function")) {
+      throw new Error();
     }
     
-    // Token line number is whatever the line number was before parsing
-    // the token
-    const token_line = this._lnum;
+    // Lock the stream and set up a push mode parser
+    const reader = stream.getReader();
+    const xml = new Parser(null, options);
+    let finished = false;
     
-    // Check that token only contains valid codepoints
-    if (!validString(token)) {
-      // String has an invalid codepoint, so iterate through updating
-      // the token line so we get the correct line number
-      let cv = null;
-      let err_line = token_line;
-      
-      for(let i = 0; i < token.length; i++) {
-        cv = token.codePointAt(i);
-        if (cv > 0xffff) {
-          i++;
-        }
+    try {
+      // Read events, reading another chunk from the stream whenever the
+      // parser needs more input
+      for(let retval = xml.readEvent();
+          retval !== false;
+          retval = xml.readEvent()) {
         
-        if (cv === 0xa) {
-          err_line++;
-        } else if (!validCode(cv)) {
-          break;
+        if (retval === null) {
+          const chunk = await reader.read();
+          if (chunk.done) {
+            xml.end();
+          } else {
+            xml.feedBytes(chunk.value);
+          }
+          continue;
         }
+        
+        yield eventRecord(xml._cur);
       }
-      if (cv === null) {
-        throw new Error();
-      }
+      finished = true;
       
-      throw this._parseErr(
-        err_line,
-        "Invalid Unicode codepoint U+" +
-        cv.toString(16).toUpperCase().padStart(4, "0"));
+    } finally {
+      // Cancel the stream if iteration did not reach the end, and then
+      // release the lock
+      if (!finished) {
+        try {
+          await reader.cancel();
+        } catch (ex) {
+          // Ignore errors while cancelling
+        }
+      }
+      reader.releaseLock();
     }
-    
-    // Perform line break normalization
-    token = breakNorm(token);
-    
-    // Update line number
-    this._lnum += countLine(token);
-    
-    // Return the token
-    return [token_line, token];
-  };
+  }
   
   /*
-   * Perform entity escaping on the given string and return the string
-   * with all escapes decoded.
+   * Lexer
+   * =====
+   */
+  
+  /*
+   * Split a LeafXML file into its raw tokens without parsing them.
    * 
-   * lnum is the line number at the start of the text token, for
-   * purposes of diagnostics.
+   * This is a generator, intended to be used like this:
    * 
-   * This function assumes that line break normalization has already
-   * been applied to the given string.  If not, then line counting for
-   * diagnostics might not work correctly.
+   *   for (const tok of LeafXML.tokens(str)) {
+   *     ...
+   *   }
    * 
-   * Parameters:
+   * The file may be given as a string, or as a binary Uint8Array or
+   * ArrayBuffer, which is decoded in the same way as readFullText().
    * 
-   *   str - the string to perform escaping on
+   * Each yielded value is an object with the following properties:
+   * 
+   *   type - "bom", "text", "tag", "cdata", "comment", "instruction",
+   *   "doctype", or "invalid"
    * 
-   *   lnum - the starting line number of the string
+   *   text - the exact source text of the token
+   * 
+   *   offset - the index of the token within the input
+   * 
+   *   end - the index just after the token within the input
+   * 
+   * For string input, indices are counted in UTF-16 code units of the
+   * string.  For binary input, indices are counted in bytes of the
+   * buffer, so that each token covers an exact range of the encoded
+   * file, and a byte order mark is yielded as a first token of type
+   * "bom" whose text is U+FEFF.  A string never has a "bom" token.
+   * 
+   * The tokens are not verified, decoded, or normalized in any way, and
+   * line breaks are left as they are.  Every codepoint of the input
+   * belongs to exactly one token, so concatenating the text of all the
+   * tokens reproduces the input exactly, and for binary input, the byte
+   * ranges of all the tokens cover the whole buffer in order.  Markup
+   * that the parser would not be able to tokenize yields an "invalid"
+   * token with just the "<" codepoint, and the rest is tokenized as
+   * text.  A DOCTYPE declaration with an internal DTD subset is
+   * yielded as a single "doctype" token.
+   * 
+   * An exception is thrown in case of a decoding error in binary
+   * input.
+   * 
+   * Parameters:
+   * 
+   *   str - the LeafXML file as a string, Uint8Array, or ArrayBuffer
    * 
    * Return:
    * 
-   *   the escaped string
+   *   an iterator over token objects
    */
-  Parser.prototype._entEsc = function(str, lnum) {
+  function* tokens(str) {
     // Check parameters
-    if (typeof str !== "string") {
-      throw new Error();
+    if (str instanceof ArrayBuffer) {
+      str = new Uint8Array(str);
     }
-    if (!isInteger(lnum)) {
+    if ((typeof str !== "string") && (!(str instanceof Uint8Array))) {
       throw new Error();
     }
     
-    // If there is no ampersand anywhere, then no escaping required
-    if (str.indexOf("&") < 0) {
-      return str;
-    }
-    
-    // Result starts out empty
-    let result = "";
-    
-    // Parse a sequence of plain text, line breaks, escape codes, and
-    // invalid ampersands
-    RX_ENT_ESC.lastIndex = 0;
-    for(let retval = RX_ENT_ESC.exec(str);
-        retval !== null;
-        retval = RX_ENT_ESC.exec(str)) {
-      
-      // Get token
-      let token = retval[0];
-      
-      // Check for invalid ampersand
-      if (token === "&") {
-        throw this._parseErr(lnum,
-              "Ampersand must be part of entity escape");
-      }
+    // Decode binary input, yielding any byte order mark as a token of
+    // its own; enc is null for string input, and otherwise the encoding
+    // that determines the byte length of each token
+    let enc = null;
+    let boff = 0;
+    if (str instanceof Uint8Array) {
+      const retval = detectBOM(str);
+      enc = retval[1];
+      boff = retval[0];
       
-      // If this is a line break, increase line count
-      if (token === "\n") {
-        lnum++;
-      }
+      const tdec = new TextDecoder(enc, {
+        "fatal": true,
+        "ignoreBOM": true
+      });
+      const ubuf = str;
+      str = tdec.decode(ubuf.subarray(boff));
       
-      // If this is not an entity escape, copy to result and next token
-      if (token.slice(0, 1) !== "&") {
-        result = result + token;
-        continue;
+      if (boff > 0) {
+        yield {
+          "type"  : "bom",
+          "text"  : "\u{feff}",
+          "offset": 0,
+          "end"   : boff
+        };
       }
+    }
+    
+    // Each call gets its own sticky instance of the token expression so
+    // that tokens are matched one after another
+    const rx = new RegExp(RXS_READ_TOKEN, "usy");
+    
+    let pos = 0;
+    while (pos < str.length) {
+      // Read the next token, which always succeeds because of the "<"
+      // failure token
+      rx.lastIndex = pos;
+      let text = rx.exec(str)[0];
       
-      // If we got here, token is an entity escape, so process it
-      RX_ENT_ESC_NAMED.lastIndex = 0;
-      RX_ENT_ESC_DEC.lastIndex   = 0;
-      RX_ENT_ESC_HEX.lastIndex   = 0;
-      let retval2 = null;
-      
-      if ((retval2 = RX_ENT_ESC_NAMED.exec(token)) !== null) {
-        // Named escape
-        const ename = retval2[1];
-        if (ename === "amp") {
-          result = result + "&";
-          
-        } else if (ename === "lt") {
-          result = result + "<";
-          
-        } else if (ename === "gt") {
-          result = result + ">";
-          
-        } else if (ename === "apos") {
-          result = result + "'";
-          
-        } else if (ename === "quot") {
-          result = result + "\"";
-          
+      // Determine the token type, taking a DOCTYPE with an internal
+      // subset as a whole token
+      let ttype = null;
+      if (text === "<") {
+        RX_DTD_SKIP.lastIndex = pos;
+        const retval = RX_DTD_SKIP.exec(str);
+        if (retval !== null) {
+          text  = retval[0];
+          ttype = "doctype";
         } else {
-          throw this._parseErr(lnum,
-                "Unrecognized named entity '" + token + "'");
-        }
-        
-      } else if ((retval2 = RX_ENT_ESC_DEC.exec(token)) !== null) {
-        // Decimal escape
-        const cv = parseInt(retval2[1], 10);
-        if (!validCode(cv)) {
-          throw this._parseErr(lnum,
-                "Escaped codepoint out of range for '" + token + "'");
+          ttype = "invalid";
         }
-        result = result + String.fromCodePoint(cv);
         
-      } else if ((retval2 = RX_ENT_ESC_HEX.exec(token)) !== null) {
-        // Base-16 escape
-        const cv = parseInt(retval2[1], 16);
-        if (!validCode(cv)) {
-          throw this._parseErr(lnum,
-                "Escaped codepoint out of range for '" + token + "'");
-        }
-        result = result + String.fromCodePoint(cv);
+      } else if (text.startsWith("<!--")) {
+        ttype = "comment";
+      } else if (text.startsWith("<?")) {
+        ttype = "instruction";
+      } else if (text.startsWith("<!DOCTYPE")) {
+        ttype = "doctype";
+      } else if (text.startsWith("<![CDATA[")) {
+        ttype = "cdata";
+      } else if (text.startsWith("<")) {
+        ttype = "tag";
+      } else {
+        ttype = "text";
+      }
+      
+      // Yield the token with string or byte indices
+      if (enc === null) {
+        yield {
+          "type"  : ttype,
+          "text"  : text,
+          "offset": pos,
+          "end"   : pos + text.length
+        };
         
       } else {
-        throw this._parseErr(lnum,
-            "Invalid entity escape '" + token + "'");
+        const blen = (enc === "utf-8") ?
+                        utf8Length(text) : (text.length * 2);
+        yield {
+          "type"  : ttype,
+          "text"  : text,
+          "offset": boff,
+          "end"   : boff + blen
+        };
+        boff = boff + blen;
       }
+      pos = pos + text.length;
     }
-    
-    // Return result
-    return result;
-  };
+  }
   
   /*
-   * Parse the attribute substring of a tag token.  Returns an object
-   * mapping attribute names to attribute values.  Names have been
-   * validated and normalized.  Attribute values have been escaped and
-   * normalized.
+   * Writer class
+   * ============
    * 
-   * The attribute substring, if it is not empty, should begin with at
-   * least one codepoint of whitespace which separates it from the the
-   * element name that precedes it in the tag.
+   * The Writer produces a LeafXML file from a sequence of calls that
+   * mirror the parsing events, in the style of a streaming XML writer.
    * 
-   * Parameters:
+   * Namespace prefixes are managed automatically.  Elements and
+   * attributes are given by namespace value and local name, and the
+   * writer declares prefixes as they are needed and reuses prefixes
+   * that are already in scope.
    * 
-   *   pstr - the attribute substring of the tag
+   * Names, text, and tag balance are checked as output is written, and
+   * text and attribute values are normalized in the same way that the
+   * Parser normalizes them.  The output is therefore read back by the
+   * Parser as the same sequence of events that was written, except
+   * that adjacent text and CDATA are merged into a single text event.
    * 
-   *   lnum - the line the attribute substring begins at
+   * Errors in the use of the writer are thrown as Error.
+   */
+  
+  /*
+   * Construct a new Writer.
    * 
-   * Return:
+   * The optional options object may have the following properties:
    * 
-   *   object mapping attribute names to attribute values
+   *   output - a function that is called with each chunk of output as
+   *   it is written; if omitted, the output is collected and returned
+   *   by finish()
+   * 
+   *   prefixes - an object mapping namespace values to the prefixes
+   *   that should be used for them when they need to be declared; an
+   *   empty string means the namespace is declared as the default
+   *   namespace for elements
+   * 
+   *   declaration - if true, an XML declaration is written at the start
+   *   of the output; defaults to false; may also be an object with an
+   *   optional "version" property, which is the version string to
+   *   declare instead of "1.0", and an optional "standalone" property,
+   *   which is true or false to declare standalone as "yes" or "no"
+   * 
+   *   selfClose - if true, elements with no content are written as
+   *   empty tags; if false, they are written as a starting tag followed
+   *   by an ending tag; defaults to true
+   * 
+   * Parameters:
+   * 
+   *   options - (optional) an object with writer options
    */
-  Parser.prototype._parseAttr = function(pstr, lnum) {
+  function Writer(options) {
     // Check parameters
-    if (typeof pstr !== "string") {
-      throw new Error();
+    if ((options === undefined) || (options === null)) {
+      options = {};
     }
-    if (!isInteger(lnum)) {
+    if (typeof options !== "object") {
       throw new Error();
     }
     
-    // End-trim the parameter substring, but leave leading whitespace
-    pstr = endTrim(pstr);
+    let output = null;
+    if ((options.output !== undefined) && (options.output !== null)) {
+      if (typeof options.output !== "function") {
+        throw new Error("Invalid writer option: output");
+      }
+      output = options.output;
+    }
     
-    // Just return empty object if parameter substring empty after
-    // end-trimming
-    if (pstr.length < 1) {
-      return {};
+    let prefixes = {};
+    if ((options.prefixes !== undefined) &&
+        (options.prefixes !== null)) {
+      if (typeof options.prefixes !== "object") {
+        throw new Error("Invalid writer option: prefixes");
+      }
+      for(let k in options.prefixes) {
+        const pfx = options.prefixes[k];
+        if ((typeof pfx !== "string") || ((pfx.length > 0) &&
+              ((!validName(pfx)) || (pfx.indexOf(":") >= 0) ||
+                (pfx === "xml") || (pfx === "xmlns")))) {
+          throw new Error("Invalid writer option: prefixes");
+        }
+      }
+      prefixes = options.prefixes;
     }
     
-    // The attribute map starts out empty
-    let attr = {};
+    let decl = (options.declaration === undefined) ?
+                    false : options.declaration;
+    if (decl === true) {
+      decl = {};
+    }
+    if ((decl !== false) && ((typeof decl !== "object") ||
+          (decl === null) || Array.isArray(decl))) {
+      throw new Error("Invalid writer option: declaration");
+    }
     
-    // Parse any attributes
-    RX_PARSE_ATTR.lastIndex = 0;
-    for(let retval = RX_PARSE_ATTR.exec(pstr);
-        retval !== null;
-        retval = RX_PARSE_ATTR.exec(pstr)) {
-      
-      // Get current part
-      const part = retval[0];
-  
-      // Set part line to current line number then update line number
-      const part_line = lnum;
-      lnum += countLine(part);
-      
-      // If part is single codepoint then there is a parsing error
-      if (part.length <= 1) {
-        throw this._parseErr(part_line,
-          "Failed to parse tag attributes");
-      }
-      
-      // If we got here, we should have an attribute, so parse it into
-      // an attribute name and an attribute value
-      let att_name = null;
-      let att_val = null;
-      
-      let att_name_line = null;
-      let att_val_line = null;
-      
-      RX_PARSE_ATTR_D.lastIndex = 0;
-      RX_PARSE_ATTR_S.lastIndex = 0;
-      let retval2 = null;
-      
-      if ((retval2 = RX_PARSE_ATTR_D.exec(part)) !== null) {
-        att_name = retval2[2];
-        att_val  = retval2[4];
-        
-        att_name_line = part_line     + countLine(retval2[1]);
-        att_val_line  = att_name_line + countLine(retval2[3]);
-        
-      } else if ((retval2 = RX_PARSE_ATTR_S.exec(part)) !== null) {
-        att_name = retval2[2];
-        att_val  = retval2[4];
-        
-        att_name_line = part_line     + countLine(retval2[1]);
-        att_val_line  = att_name_line + countLine(retval2[3]);
-        
-      } else {
-        throw this._parseErr(lnum, "Failed to parse tag attributes");
+    let dver = "1.0";
+    let dsa  = null;
+    if (decl !== false) {
+      if ((decl.version !== undefined) && (decl.version !== null)) {
+        RX_XML_VERSION.lastIndex = 0;
+        if ((typeof decl.version !== "string") ||
+            (!RX_XML_VERSION.test(decl.version))) {
+          throw new Error("Invalid writer option: declaration");
+        }
+        dver = decl.version;
       }
-      
-      // Normalize attribute name and verify valid
-      att_name = att_name.normalize("NFC");
-      if (!validName(att_name)) {
-        throw this._parseErr(att_name_line,
-          "Invalid attribute name '" + att_name + "'");
+      if ((decl.standalone !== undefined) &&
+          (decl.standalone !== null)) {
+        if (typeof decl.standalone !== "boolean") {
+          throw new Error("Invalid writer option: declaration");
+        }
+        dsa = decl.standalone;
       }
-      
-      // Make sure attribute value does not have the disallowed <
-      if (att_val.indexOf("<") >= 0) {
-        throw this._parseErr(att_val_line,
-          "Attribute value contains unescaped <");
+    }
+    
+    const sclose = (options.selfClose === undefined) ?
+                    true : options.selfClose;
+    if (typeof sclose !== "boolean") {
+      throw new Error("Invalid writer option: selfClose");
+    }
+    
+    // _output is the output function, or null if output is collected
+    // in _chunks
+    this._output = output;
+    this._chunks = [];
+    
+    // _prefs maps namespace values to preferred prefixes
+    this._prefs = prefixes;
+    
+    // _state is 1 before the root element, 0 within the root element,
+    // and -1 after the root element, in the same way as the tag state
+    // of the Parser; _done is true once finish() has been called
+    this._state = 1;
+    this._done  = false;
+    
+    // _stack holds the qualified name of each open element
+    this._stack = [];
+    
+    // _nstack is the namespace stack, in the same format as the Parser
+    // namespace stack, with one more entry than _stack
+    this._nstack = [
+      {
+        "xml"   : "http://www.w3.org/XML/1998/namespace",
+        "xmlns" : "http://www.w3.org/2000/xmlns/"
       }
-      
-      // Entity-escape, whitespace-compress, and NFC normalize the
-      // attribute value
-      att_val = this._entEsc(att_val, att_val_line);
-      att_val = wsCompress(att_val).normalize("NFC");
-      
-      // Make sure attribute not defined yet
-      if (att_name in attr) {
-        throw this._parseErr(att_name_line,
-          "Attribute '" + att_name + "' defined multiple times");
+    ];
+    
+    // _open is true if the most recent starting tag has not been closed
+    // with ">" yet, so that it can still become an empty tag; _sclose
+    // is true if empty elements should be written as empty tags
+    this._open   = false;
+    this._sclose = sclose;
+    
+    // _gen is the counter for generating new prefixes
+    this._gen = 0;
+    
+    // Write the XML declaration if requested
+    if (decl !== false) {
+      let dstr = "<?xml version=\"" + dver + "\" encoding=\"UTF-8\"";
+      if (dsa !== null) {
+        dstr = dstr + " standalone=\"" + (dsa ? "yes" : "no") + "\"";
       }
-      
-      // Store the attribute
-      attr[att_name] = att_val;
+      this._write(dstr + "?>\n");
     }
-    
-    // Return attribute map
-    return attr;
-  };
+  }
   
   /*
-   * Parse a tag token.
+   * Write a chunk of output.
    * 
-   * The return value is an array with the following elements:
+   * Parameters:
    * 
-   *   (1) Tag type: 1 = start, 0 = empty, -1 = end
-   *   (2) Element name
-   *   (3) Ojbect mapping attribute names to attribute values
+   *   str - the chunk to write
+   */
+  Writer.prototype._write = function(str) {
+    if (this._output !== null) {
+      this._output(str);
+    } else {
+      this._chunks.push(str);
+    }
+  };
+  
+  /*
+   * Check that the writer can still be written to, and close a pending
+   * starting tag with ">".
+   */
+  Writer.prototype._prep = function() {
+    if (this._done) {
+      throw new Error("Writer is finished");
+    }
+    if (this._open) {
+      this._write(">");
+      this._open = false;
+    }
+  };
+  
+  /*
+   * Determine the prefix to use for a namespace value on the element
+   * that is being written, declaring a new prefix if necessary.
    * 
-   * Names have been validated and normalized.  Attribute values have
-   * been escaped and normalized.  End tags have been verified to have
-   * no attributes.
+   * scope is the namespace context the element is in, and decl is the
+   * object of new declarations on the element, which this function
+   * adds to.  The empty string is returned if the element should use
+   * the default namespace, which is only possible for elements.
    * 
    * Parameters:
    * 
-   *   token - the tag token string to parse
+   *   ns - the namespace value
+   * 
+   *   scope - the namespace context of the element
+   * 
+   *   decl - the declarations on the element
    * 
-   *   lnum - the line number of the tag token
+   *   elem - true for an element name, false for an attribute name
    * 
    * Return:
    * 
-   *   an array with the parsed tag token
+   *   the prefix
    */
-  Parser.prototype._parseTag = function(token, lnum) {
+  Writer.prototype._prefix = function(ns, scope, decl, elem) {
     // Check parameters
-    if (typeof token !== "string") {
-      throw new Error();
+    if ((typeof ns !== "string") || (ns.length < 1)) {
+      throw new Error("Invalid namespace value");
     }
-    if (!isInteger(lnum)) {
-      throw new Error();
+    if (ns === "http://www.w3.org/2000/xmlns/") {
+      throw new Error("Reserved xmlns namespace can't be used");
     }
     
-    // Parse the whole tag
-    RX_PARSE_TAG.lastIndex = 0;
-    const retval = RX_PARSE_TAG.exec(token);
-    if (retval === null) {
-      throw this._parseErr(lnum, "Failed to parse tag");
+    // Use the default namespace for elements if it matches
+    const merged = Object.assign({}, scope, decl);
+    if (elem && (merged[""] === ns)) {
+      return "";
     }
     
-    const start_slash = retval[1];
-    let   ename       = retval[2];
-    const pstr        = retval[3];
-    const end_slash   = retval[4];
-
-    // Determine the tag type
-    let etype = null;
-    if ((start_slash === undefined) && (end_slash === undefined)) {
-      etype = 1;
-    
-    } else if ((start_slash !== undefined) &&
-                (end_slash === undefined)) {
-      etype = -1;
-      
-    } else if ((start_slash === undefined) &&
-                (end_slash !== undefined)) {
-      etype = 0;
-      
-    } else {
-      throw this._parseErr(lnum, "Failed to parse tag");
+    // Reuse a prefix that is already in scope, preferring the prefixes
+    // declared on the element itself over the inherited ones
+    for(let k in decl) {
+      if ((k.length > 0) && (decl[k] === ns)) {
+        return k;
+      }
     }
-    
-    // Normalize element name and validate it
-    ename = ename.normalize("NFC");
-    if (!validName(ename)) {
-      throw this._parseErr(lnum, "Invalid tag name '" + ename + "'");
+    for(let k in merged) {
+      if ((k.length > 0) && (merged[k] === ns)) {
+        return k;
+      }
     }
     
-    // Parse attributes
-    const attr = this._parseAttr(pstr, lnum);
-    
-    // If closing tag, make sure no attributes
-    if (etype < 0) {
-      for(let p in attr) {
-        throw this._parseErr(lnum,
-          "Closing tags may not have attributes");
+    // Declare the preferred prefix, if there is one that is usable; a
+    // prefix that is already in scope is not redeclared, since it might
+    // be in use by another name on the same element
+    const pref = this._prefs[ns];
+    if (pref === "") {
+      if (elem && (!("" in decl))) {
+        decl[""] = ns;
+        return "";
       }
+    } else if ((pref !== undefined) && (!(pref in merged))) {
+      decl[pref] = ns;
+      return pref;
     }
     
-    // Return parsed tag
-    return [etype, ename, attr];
+    // Generate a new prefix
+    let pfx = null;
+    do {
+      this._gen++;
+      pfx = "ns" + this._gen.toString();
+    } while (pfx in merged);
+    
+    decl[pfx] = ns;
+    return pfx;
   };
   
   /*
-   * Update the namespace stack before processing a starting or empty
-   * tag.
+   * Write a starting element.
    * 
-   * attr is the raw attribute map.  lnum is the line number of the tag.
-   * A new entry will be pushed onto the namespace stack by this
-   * function.
+   * ns is the namespace value of the element, or null if the element is
+   * not in a namespace.  An element that is not in a namespace cannot
+   * be written where a default namespace is in effect.
+   * 
+   * attrs is an optional object mapping attribute names to values, for
+   * attributes that are not in a namespace, in the same format as the
+   * Parser attr() function.
+   * 
+   * extAttrs is an optional two-level object mapping namespace values
+   * to objects mapping local attribute names to values, in the same
+   * format as the Parser externalAttr() function.
+   * 
+   * Namespace declarations are written automatically, so they must not
+   * be given as attributes.
    * 
    * Parameters:
    * 
-   *   attr - the attribute map
+   *   ns - the namespace value of the element, or null
+   * 
+   *   name - the local name of the element
+   * 
+   *   attrs - (optional) the plain attribute map
+   * 
+   *   extAttrs - (optional) the namespaced attribute map
+   */
+  Writer.prototype.startElement = function(ns, name, attrs, extAttrs) {
+    this._start(ns, name, attrs, extAttrs, {}, null);
+  };
+  
+  /*
+   * Write a starting element with a given set of namespace
+   * declarations.
+   * 
+   * This is the implementation of startElement().  decls is an object
+   * mapping prefixes to namespace values, in the same format as the
+   * Parser namespaceContext() function, that should be declared on the
+   * element before any prefixes are chosen.  Declarations that match
+   * what is already in scope and declarations of the reserved prefixes
+   * are skipped.
+   * 
+   * wrap is either null to write the whole tag on one line, or an
+   * object that controls wrapping the attributes onto separate lines.
+   * The object has the following properties:
+   * 
+   *   col - the column the tag starts at
+   * 
+   *   width - the maximum line width, or zero for no limit
+   * 
+   *   always - true to wrap whenever there is more than one attribute
+   * 
+   *   indent - the line break and indent to use between attributes
+   * 
+   * The attributes are wrapped if there is more than one of them and
+   * either the always property is true or the tag does not fit within
+   * the maximum line width.  Namespace declarations count as attributes
+   * for this purpose.
+   * 
+   * Parameters:
    * 
-   *   lnum - the line number of the tag
+   *   ns - the namespace value of the element, or null
+   * 
+   *   name - the local name of the element
+   * 
+   *   attrs - (optional) the plain attribute map
+   * 
+   *   extAttrs - (optional) the namespaced attribute map
+   * 
+   *   decls - the namespace declarations to write
+   * 
+   *   wrap - the wrapping control object, or null
    */
-  Parser.prototype._updateNS = function(attr, lnum) {
+  Writer.prototype._start = function(
+      ns, name, attrs, extAttrs, decls, wrap) {
     // Check parameters
-    if (typeof attr !== "object") {
+    if (ns === undefined) {
+      ns = null;
+    }
+    if ((ns !== null) && (typeof ns !== "string")) {
       throw new Error();
     }
-    if (!isInteger(lnum)) {
+    writerName(name);
+    if ((attrs === undefined) || (attrs === null)) {
+      attrs = {};
+    }
+    if ((extAttrs === undefined) || (extAttrs === null)) {
+      extAttrs = {};
+    }
+    if ((typeof attrs !== "object") || (typeof extAttrs !== "object")) {
       throw new Error();
     }
     
-    // The new_ns map contains new namespace mappings defined in this
-    // element
-    let new_ns = {};
+    // Check state
+    this._prep();
+    if (this._state < 0) {
+      throw new Error("Multiple root elements");
+    }
     
-    // Go through attributes
-    let k = null;
-    for(k in attr) {
-      // Get the prefix mapped by this attribute, or skip attribute if
-      // not a namespace mapping
-      let target_pfx = null;
-      
-      const sname = splitName(k);
-      if (sname[0] !== null) {
-        if (sname[0] === "xmlns") {
-          target_pfx = sname[1];
-        }
-      } else {
-        if (sname[1] === "xmlns") {
-          target_pfx = "";
-        }
-      }
-      
-      if (target_pfx === null) {
+    // Start with the given declarations
+    const scope = this._nstack[this._nstack.length - 1];
+    const decl = {};
+    
+    for(let k in decls) {
+      if ((k === "xml") || (k === "xmlns") || (scope[k] === decls[k])) {
         continue;
       }
-      
-      // For diagnostics, get a label of what is being mapped
-      let target_label = null;
-      if (target_pfx.length > 0) {
-        target_label = "namespace prefix '" + target_pfx + "'";
-      } else {
-        target_label = "default namespace";
+      if ((k.length > 0) &&
+          ((!validName(k)) || (k.indexOf(":") >= 0))) {
+        throw new Error("Invalid prefix: " + k);
       }
-      
-      // Get value of this namespace target and make sure not empty
-      const ns_val = attr[k];
-      if (ns_val.length < 1) {
-        throw this._parseErr(lnum,
-          "Can't map " + target_label + " to empty value");
+      if ((typeof decls[k] !== "string") || (decls[k].length < 1) ||
+          (decls[k] === "http://www.w3.org/2000/xmlns/")) {
+        throw new Error("Invalid namespace value");
       }
-      
-      // Make sure not mapping the xmlns prefix
-      if (target_pfx === "xmlns") {
-        throw this._parseErr(lnum,
-          "Can't namespace map the xmlns prefix");
+      decl[k] = decls[k];
+    }
+    
+    // Determine the element name, declaring prefixes as needed
+    let qname = name;
+    if (ns !== null) {
+      const pfx = this._prefix(ns, scope, decl, true);
+      if (pfx.length > 0) {
+        qname = pfx + ":" + name;
       }
-      
-      // Make sure not mapping to reserved xmlns namespace
-      if (ns_val === 'http://www.w3.org/2000/xmlns/') {
-        throw this._parseErr(lnum,
-          "Can't map " + target_label + " to reserved xmlns value");
+    } else if (scope[""] !== undefined) {
+      throw new Error(
+        "Element without namespace can't be in default namespace");
+    }
+    
+    // Build the attribute list, declaring prefixes as needed
+    const alist = [];
+    for(let k in attrs) {
+      writerName(k);
+      if (k === "xmlns") {
+        throw new Error("Namespace declarations can't be attributes");
       }
-      
-      // If target prefix is "xml" make sure mapping to proper
-      // namespace; otherwise, make sure not mapping to XML namespace
-      if (target_pfx === "xml") {
-        if (ns_val !== "http://www.w3.org/XML/1998/namespace") {
-          throw this._parseErr(lnum,
-            "Can only map " + target_label + " to reserved xml value");
-        }
-      } else {
-        if (ns_val === "http://www.w3.org/XML/1998/namespace") {
-          throw this._parseErr(lnum,
-            "Can't map " + target_label + " to reserved xml value");
-        }
+      alist.push(k + "=" + attrValue(attrs[k]));
+    }
+    
+    for(let n in extAttrs) {
+      const amap = extAttrs[n];
+      if ((typeof amap !== "object") || (amap === null)) {
+        throw new Error();
       }
-      
-      // Make sure this mapping not yet defined on this element
-      if (target_pfx in new_ns) {
-        throw this._parseErr(lnum,
-          "Redefinition of " + target_label + " on same element");
+      const pfx = this._prefix(n, scope, decl, false);
+      for(let k in amap) {
+        writerName(k);
+        alist.push(pfx + ":" + k + "=" + attrValue(amap[k]));
       }
-      
-      // Add to new mappings
-      new_ns[target_pfx] = ns_val;
     }
     
-    // If at least one new mapping, then make a copy of the namespace
-    // context on top of the stack, modify it, and push it back;
-    // otherwise, just duplicate the reference on top of the namespace
-    // stack
-    let has_new = false;
-    let nk = null;
-    for (nk in new_ns) {
-      has_new = true;
-      break;
+    // Put the namespace declarations first
+    const dlist = [];
+    for(let k in decl) {
+      const dname = (k.length > 0) ? ("xmlns:" + k) : "xmlns";
+      dlist.push(dname + "=" + attrValue(decl[k]));
     }
+    const items = dlist.concat(alist);
     
-    if (has_new) {
-      // New definitions, so make a copy of the namespace on top of the
-      // stack
-      let nsz = this._nstack[this._nstack.length - 1];
-      let nsa = {};
-      let kz = null;
-      for(kz in nsz) {
-        nsa[kz] = nsz[kz];
-      }
-      
-      // Update namespace
-      let kv = null;
-      for(kv in new_ns) {
-        nsa[kv] = new_ns[kv];
+    // Write the tag, wrapping the attributes if requested
+    let tag = "<" + qname;
+    if (items.length > 0) {
+      tag = tag + " " + items.join(" ");
+    }
+    
+    if ((wrap !== null) && (items.length > 1)) {
+      if (wrap.always || ((wrap.width > 0) &&
+            (wrap.col + tag.length + 2 > wrap.width))) {
+        tag = "<" + qname + " " + items.join(wrap.indent);
       }
-      
-      // Push updated namespace
-      this._nstack.push(nsa);
-      
-    } else {
-      // No new definitions, just duplicate reference on top
-      this._nstack.push(this._nstack[this._nstack.length - 1]);
     }
+    
+    this._write(tag);
+    this._open = true;
+    
+    // Update state
+    this._stack.push(qname);
+    this._nstack.push(Object.assign({}, scope, decl));
+    this._state = 0;
   };
   
   /*
-   * Return a subset attribute mapping that only contains attributes
-   * which have no namespace prefix and which are not "xmlns".
-   * 
-   * Parameters:
-   * 
-   *   attr - object containing the raw attribute map
-   * 
-   *   lnum - the line number of the tag
+   * Write an ending element for the innermost open element.
    * 
-   * Return:
-   * 
-   *   object containing plain attribute map
+   * If nothing has been written since the starting element, an empty
+   * tag is written instead.
    */
-  Parser.prototype._plainAttr = function(attr, lnum) {
-    // Check parameters
-    if (typeof attr !== "object") {
-      throw new Error();
+  Writer.prototype.endElement = function() {
+    // Check state
+    if (this._done) {
+      throw new Error("Writer is finished");
     }
-    if (!isInteger(lnum)) {
-      throw new Error();
+    if (this._stack.length < 1) {
+      throw new Error("No open element to end");
     }
     
-    // Form the subset
-    let result = {};
-    let k = null;
-    
-    for(k in attr) {
-      const retval = splitName(k);
-      if ((retval[0] === null) && (k !== "xmlns")) {
-        result[k] = attr[k];
-      }
+    // Write an empty tag or an ending tag
+    const qname = this._stack.pop();
+    this._nstack.pop();
+    if (this._open && this._sclose) {
+      this._write("/>");
+      this._open = false;
+    } else if (this._open) {
+      this._write("></" + qname + ">");
+      this._open = false;
+    } else {
+      this._write("</" + qname + ">");
     }
     
-    // Return result
-    return result;
+    // Update state
+    if (this._stack.length < 1) {
+      this._state = -1;
+    }
   };
   
   /*
-   * Return a namespaced attribute mapping.
+   * Write content text.
+   * 
+   * Text may only be written within the root element, except that
+   * whitespace-only text may be written anywhere, since the Parser
+   * ignores it outside the root element.
    * 
    * Parameters:
    * 
-   *   attr - object containing the raw attribute map
+   *   str - the content text
+   */
+  Writer.prototype.text = function(str) {
+    // Check parameters
+    str = writerText(str);
+    
+    // Check state
+    this._prep();
+    if (this._state !== 0) {
+      RX_BLANK.lastIndex = 0;
+      if (!RX_BLANK.test(str)) {
+        throw new Error("Text not allowed outside root element");
+      }
+    }
+    
+    // Write text
+    this._write(escapeText(str, 0));
+  };
+  
+  /*
+   * Write content text as a CDATA section.
    * 
-   *   lnum - the line number of the tag
+   * CDATA may only be written within the root element.  If the text
+   * contains "]]>", it is split across more than one CDATA section.
    * 
-   * Return:
+   * Parameters:
    * 
-   *   two-level object containing the namespaced attribute map
+   *   str - the content text
    */
-  Parser.prototype._extAttr = function(attr, lnum) {
+  Writer.prototype.cdata = function(str) {
     // Check parameters
-    if (typeof attr !== "object") {
-      throw new Error();
-    }
-    if (!isInteger(lnum)) {
-      throw new Error();
-    }
+    str = writerText(str);
     
-    // Form the set
-    let result = {};
-    let k = null;
+    // Check state
+    this._prep();
+    if (this._state !== 0) {
+      throw new Error("Text not allowed outside root element");
+    }
     
-    for(k in attr) {
-      // Split attribute name if possible
-      const retval = splitName(k);
-            
-      // Only process attributes that have a prefix which is not "xmlns"
-      if ((retval[0] !== null) && (retval[0] !== "xmlns")) {
-        // Get namespace value for prefix
-        const a_ns = this._nstack[this._nstack.length - 1][retval[0]];
-        if (a_ns === undefined) {
-          throw this._parseErr(lnum,
-            "Unmapped namespace prefix '" + retval[0] + "'");
-        }
-        
-        // Add new namespace entry if not yet defined
-        if (result[a_ns] === undefined) {
-          result[a_ns] = {};
-        }
-        
-        // Make sure local attribute not yet defined
-        if (result[a_ns][retval[1]] !== undefined) {
-          throw this._parseErr(lnum,
-            "Aliased external attribute '" + k + "'");
-        }
-        
-        // Add namespaced attribute
-        result[a_ns][retval[1]] = attr[k];
-      }
+    // Write CDATA
+    this._write("<![CDATA[" +
+      str.replaceAll("]]>", "]]]]><![CDATA[>") + "]]>");
+  };
+  
+  /*
+   * Write a comment.
+   * 
+   * XML does not allow "--" within a comment or a "-" at the end of
+   * it, although the Parser accepts both.  A space is written between
+   * any two adjacent hyphens and after a hyphen at the end, so that any
+   * comment the Parser reads can be written.
+   * 
+   * Parameters:
+   * 
+   *   str - the comment text
+   */
+  Writer.prototype.comment = function(str) {
+    // Check parameters
+    str = writerText(str);
+    
+    // Separate hyphens that XML does not allow together
+    while (str.indexOf("--") >= 0) {
+      str = str.replaceAll("--", "- -");
+    }
+    if (str.endsWith("-")) {
+      str = str + " ";
     }
     
-    // Return result
-    return result;
+    // Write comment
+    this._prep();
+    this._write("<!--" + str + "-->");
   };
   
   /*
-   * Process a tag assembly.
+   * Write a processing instruction.
    * 
-   * token is the whole tag token.  lnum is the line number that the tag
-   * token began.  It is assumed that line break normalization has
-   * already been performed on the token.
+   * The target must be a valid name, and it may not be "xml".  The data
+   * may not contain "?>".  Leading whitespace is removed from the data,
+   * since the Parser does not report it.
    * 
    * Parameters:
    * 
-   *   token - the tag assembly string to process
+   *   target - the instruction target
    * 
-   *   lnum - the line number of the tag
+   *   data - (optional) the instruction data
    */
-  Parser.prototype._procTag = function(token, lnum) {
+  Writer.prototype.pi = function(target, data) {
     // Check parameters
-    if (typeof token !== "string") {
+    if (typeof target !== "string") {
       throw new Error();
     }
-    if (!isInteger(lnum)) {
-      throw new Error();
+    if ((!validName(target)) || (target === "xml")) {
+      throw new Error("Invalid processing instruction target");
     }
-    
-    // Parse the tag
-    let retval = this._parseTag(token, lnum);
-    
-    const etype    = retval[0];
-    const ename    = retval[1];
-    const raw_attr = retval[2];
-    
-    // If this is an opening or empty element, verify that tag state is
-    // not finished and then push the element name on the tag stack and
-    // set tag state to active
-    if (etype >= 0) {
-      if (this._tstate < 0) {
-        throw this._parseErr(lnum, "Multiple root elements");
-      }
-      
-      this._tstack.push(ename);
-      this._tstate = 0;
+    if ((data === undefined) || (data === null)) {
+      data = "";
     }
-    
-    // If this is a closing or empty element, verify that tag state is
-    // active, verify that element on top of tag stack matches current
-    // element, and then pop element on top of tag stack, moving to
-    // finished state if tag stack now empty
-    if (etype <= 0) {
-      if (this._tstate !== 0) {
-        throw this._parseErr(lnum, "Tag parsing error");
-      }
-      
-      if (this._tstack[this._tstack.length - 1] !== ename) {
-        throw this._parseErr(lnum, "Tag pairing error");
-      }
-      
-      this._tstack.pop();
-      if (this._tstack.length < 1) {
-        this._tstate = -1;
-      }
+    data = writerText(data);
+    RX_START_TRIM.lastIndex = 0;
+    data = data.replace(RX_START_TRIM, "");
+    if (data.indexOf("?>") >= 0) {
+      throw new Error("Invalid processing instruction data");
     }
     
-    // If this is an opening or empty element, go through all the raw
-    // attributes and update namespace stack
-    if (etype >= 0) {
-      this._updateNS(raw_attr, lnum);
+    // Write instruction
+    this._prep();
+    if (data.length > 0) {
+      this._write("<?" + target + " " + data + "?>");
+    } else {
+      this._write("<?" + target + "?>");
     }
-    
-    // Parse the element name according to namespaces
-    retval = splitName(ename);
-    let e_local = retval[1];
-    let e_ns = null;
-    if (retval[0] !== null) {
-      e_ns = this._nstack[this._nstack.length - 1][retval[0]];
-      if (e_ns === undefined) {
-        throw this._parseErr(lnum,
-          "Unmapped namespace prefix '" + retval[0] + "'");
-      }
+  };
+  
+  /*
+   * Write a DOCTYPE declaration.
+   * 
+   * The declaration may only be written before the root element.  Only
+   * the external identifiers are written; there is no internal subset.
+   * The public identifier may only be given together with the system
+   * identifier.
+   * 
+   * Parameters:
+   * 
+   *   name - the root element name, including any prefix
+   * 
+   *   publicId - (optional) the public identifier, or null
+   * 
+   *   systemId - (optional) the system identifier, or null
+   */
+  Writer.prototype.doctype = function(name, publicId, systemId) {
+    // Check parameters
+    if (typeof name !== "string") {
+      throw new Error();
     }
-    
-    // If no defined namespace for element but a default namespace, then
-    // use the default namespace
-    if (e_ns === null) {
-      e_ns = this._nstack[this._nstack.length - 1][""];
-      if (e_ns === undefined) {
-        e_ns = null;
-      }
+    if (!validName(name)) {
+      throw new Error("Invalid name: " + name);
     }
-    
-    // The atts map will have all attributes that do not have a prefix
-    // and that are not the special "xmlns" attribute; only has entries
-    // for starting and empty tags
-    let atts = null;
-    if (etype >= 0) {
-      atts = this._plainAttr(raw_attr, lnum);
-    } else {
-      atts = {};
+    if (publicId === undefined) {
+      publicId = null;
     }
-    
-    // The ext map will have all the namespace attributes that do not
-    // have the special "xmlns:" prefix; only has entries for starting
-    // and empty tags
-    let ext = null;
-    if (etype >= 0) {
-      ext = this._extAttr(raw_attr, lnum);
-    } else {
-      ext = {};
+    if (systemId === undefined) {
+      systemId = null;
     }
-    
-    // If this is a closing or empty element, pop the namespace stack
-    if (etype <= 0) {
-      this._nstack.pop();
+    if ((publicId !== null) && (systemId === null)) {
+      throw new Error("Public identifier requires system identifier");
     }
     
-    // Add the proper entries to the buffer
-    if (etype >= 0) {
-      // Starting tag or empty tag, so add a starting tag event to the
-      // buffer
-      this._buf.push([
-        lnum,
-        e_local,
-        e_ns,
-        atts,
-        ext
-      ]);
+    // Quote each identifier with whichever quote it does not contain
+    const quote = function(str) {
+      str = writerText(str);
+      if (str.indexOf("\"") < 0) {
+        return "\"" + str + "\"";
+      } else if (str.indexOf("'") < 0) {
+        return "'" + str + "'";
+      }
+      throw new Error("Identifier contains both quote styles");
+    };
+    
+    let dstr = "<!DOCTYPE " + name;
+    if (publicId !== null) {
+      dstr = dstr + " PUBLIC " + quote(publicId) +
+                " " + quote(systemId);
+    } else if (systemId !== null) {
+      dstr = dstr + " SYSTEM " + quote(systemId);
     }
+    dstr = dstr + ">";
     
-    if (etype <= 0) {
-      // Empty tag or ending tag, so add an ending tag event to the
-      // buffer
-      this._buf.push([lnum]);
+    // Check state
+    this._prep();
+    if (this._state !== 1) {
+      throw new Error("DOCTYPE only allowed before root element");
     }
+    
+    // Write declaration
+    this._write(dstr);
   };
   
   /*
-   * Process a content assembly.
+   * Copy the event that is currently loaded in a Parser.
    * 
-   * text is the decoded text of the assembly.  Text tokens must have
-   * their entities escaped already.  This function will apply line
-   * break normalization and Unicode normalization to NFC.  This
-   * function can be called for content assemblies outside of any tags.
+   * This calls the writer function that matches the event type, passing
+   * the event information from the parser.  For a starting tag, both
+   * the plain and the namespaced attributes are copied, and the
+   * namespace declarations that were on the element are declared again
+   * on the copy, so that the copy uses the same prefixes wherever the
+   * same namespace is not bound to several prefixes.
    * 
-   * lnum is the line number that the text token begins.
+   * This allows a filter to be written as a loop that reads each event,
+   * decides what to do with it, and either copies it, skips it, or
+   * writes something else in its place.
    * 
    * Parameters:
    * 
-   *   text - the decoded text of the content assembly as a string
-   * 
-   *   lnum - the line number that this content begins at
+   *   parser - the Parser with the event to copy
    */
-  Parser.prototype._procContent = function(text, lnum) {
+  Writer.prototype.copyEvent = function(parser) {
     // Check parameters
-    if (typeof text !== "string") {
-      throw new Error();
-    }
-    if (!isInteger(lnum)) {
+    if (!(parser instanceof Parser)) {
       throw new Error();
     }
     
-    // Ignore if text is empty
-    if (text.length < 1) {
-      return;
+    // Copy the event
+    if (parser.eventType() === 1) {
+      this._record(eventRecord(parser._cur), parser._cur.decl, null);
+    } else {
+      this._record(eventRecord(parser._cur), null, null);
     }
+  };
+  
+  /*
+   * Write an event object, in the format returned by eventRecord().
+   * 
+   * For a starting element event, decls and wrap are passed through to
+   * _start(); they are ignored for other events.
+   * 
+   * Parameters:
+   * 
+   *   rec - the event object
+   * 
+   *   decls - the namespace declarations of a starting element
+   * 
+   *   wrap - the wrapping control object, or null
+   */
+  Writer.prototype._record = function(rec, decls, wrap) {
+    const etype = rec.type;
+    if (etype === 1) {
+      this._start(rec.namespace, rec.name, rec.attrs, rec.externalAttrs,
+        decls, wrap);
     
-    // Apply line break normalization
-    text = breakNorm(text);
+    } else if (etype === -1) {
+      this.endElement();
     
-    // If not in active tag state, then just make sure the text only
-    // contains spaces, tabs, and line feeds, and then return without
-    // any events
-    if (this._tstate !== 0) {
-      RX_BLANK.lastIndex = 0;
-      if (!(RX_BLANK.test(text))) {
-        for(let i = 0; i < text.length; i++) {
-          let c = text.codePointAt(i);
-          if (c > 0xffff) {
-            i++;
-          }
-          
-          if (c === 0xa) {
-            lnum++;
-          }
-          if ((c !== 0x20) && (c !== 0x9) && (c !== 0xa)) {
-            break;
-          }
-        }
-        throw this._parseErr(lnum,
-          "Text content not allowed outside root element");
-      }
-      return;
+    } else if (etype === 0) {
+      this.text(rec.text);
+    
+    } else if (etype === 2) {
+      this.comment(rec.text);
+    
+    } else if (etype === 3) {
+      this.pi(rec.target, rec.data);
+    
+    } else if (etype === 4) {
+      this.doctype(rec.name, rec.publicId, rec.systemId);
+    
+    } else {
+      throw new Error();
+    }
+  };
+  
+  /*
+   * Finish writing.
+   * 
+   * The root element must have been written and closed.  No further
+   * output may be written after this.
+   * 
+   * Return:
+   * 
+   *   the whole output as a string, or null if an output function was
+   *   given to the constructor
+   */
+  Writer.prototype.finish = function() {
+    // Check state
+    if (this._done) {
+      throw new Error("Writer is finished");
+    }
+    if (this._state > 0) {
+      throw new Error("Missing root element");
     }
+    if (this._state === 0) {
+      throw new Error("Unclosed elements");
+    }
+    this._done = true;
     
-    // We are in active state, so normalize the content text to NFC and
-    // add to event buffer
-    this._buf.push([
-      lnum,
-      text.normalize("NFC")
-    ]);
+    // Return output
+    if (this._output !== null) {
+      return null;
+    } else {
+      return this._chunks.join("");
+    }
   };
   
   /*
-   * Public instance functions
-   * =========================
+   * Formatter
+   * =========
+   * 
+   * The formatter functions rewrite a whole LeafXML document by parsing
+   * it into event objects and then writing the events back out with a
+   * Writer.  This guarantees that the output parses to the same events
+   * as the input, apart from the whitespace changes that are the
+   * purpose of each function.
    */
   
   /*
-   * Set a data source name for use in diagnostics.
+   * Parse a whole LeafXML document into an array of event objects.
    * 
-   * Any current data source name is overwritten.  Passing null is
-   * allowed, and has the effect of blanking the source name.
+   * The event objects are in the format returned by eventRecord().
+   * Comment, processing instruction, and DOCTYPE events are included.
+   * Each starting element event object also has the following extra
+   * properties:
    * 
-   * If a non-null data source name is defined, it will be included in
-   * error messages thrown by this module during parsing.
+   *   decls - the namespace declarations on the element, mapping each
+   *   declared prefix to its namespace value
+   * 
+   *   space - the in-scope xml:space value, in the same format as the
+   *   Parser xmlSpace() function
+   * 
+   * The return value is an object with a "recs" property holding the
+   * array of event objects and a "decl" property that is false if the
+   * document has no XML declaration, or else an object with the
+   * declared "version" and "standalone" values, in the format of the
+   * Writer declaration option.
    * 
    * Parameters:
    * 
-   *   str - string containing the data source name, or null.,
-   */
-  Parser.prototype.setSourceName = function(str) {
-    if (str !== null) {
-      if (typeof str !== "string") {
-        throw new Error();
-      }
-    }
-    this._sname = str;
-  };
-  
-  /*
-   * Get the current data source name, or null if none defined.
+   *   str - the LeafXML document as a string
    * 
    * Return:
    * 
-   *   string containing the data source name, or null
+   *   the parsed document
    */
-  Parser.prototype.getSourceName = function() {
-    return this._sname;
-  };
+  function readRecords(str) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    
+    // Read all the events
+    const xml = new Parser(str, {
+      "comments"     : true,
+      "instructions" : true,
+      "doctype"      : true
+    });
+    
+    const recs = [];
+    while (xml.readEvent()) {
+      const rec = eventRecord(xml._cur);
+      if (rec.type === 1) {
+        rec.decls = xml._cur.decl;
+        rec.space = xml.xmlSpace();
+      }
+      recs.push(rec);
+    }
+    
+    // Return the document
+    let decl = false;
+    if (xml.xmlVersion() !== null) {
+      decl = {
+        "version"   : xml.xmlVersion(),
+        "standalone": xml.standalone()
+      };
+    }
+    
+    return {
+      "recs" : recs,
+      "decl" : decl
+    };
+  }
   
   /*
-   * Read the next parsing event from the parser.
+   * Classify the content of each element in an array of event objects
+   * from readRecords().
    * 
-   * Returns true if a new event is available, or false if there are no
-   * more parsing events.  After this function returns false, any
-   * further calls will also return false.
+   * The following properties are added to each starting element event
+   * object:
    * 
-   * This must be called before reading the first parsing event.  In
-   * other words, the first parsing event is not immediately available
-   * after parser construction.
+   *   keep - true if the element has content text other than
+   *   whitespace or xml:space is "preserve" for it, meaning that the
+   *   whitespace within it is significant and it should be written
+   *   exactly as it is
    * 
-   * Throws errors in case of parsing problems.  Undefined behavior
-   * occurs if you catch an error and then try to continue parsing.
+   *   full - true if the element has any content other than
+   *   whitespace-only text
    * 
-   * Return:
+   * Parameters:
    * 
-   *   true if a new event is available, false otherwise
+   *   recs - the array of event objects
    */
-  Parser.prototype.readEvent = function() {
+  function markContent(recs) {
+    // Check parameters
+    if (!Array.isArray(recs)) {
+      throw new Error();
+    }
     
-    // If buffer is empty, try to refill it
-    if (this._buf.length < 1) {
-      // Content buffer starts out undefined
-      let content      = null;
-      let content_line = null;
-      
-      // Keep processing tokens until we run out of tokens
-      for(let retval = this._readToken();
-          retval !== null;
-          retval = this._readToken()) {
-        
-        let token_line = retval[0];
-        let token      = retval[1];
-        
-        // If this is a CDATA token, then add it to the content buffer
-        let retval2 = null;
-        RX_CDATA.lastIndex = 0;
-        
-        if ((retval2 = RX_CDATA.exec(token)) !== null) {
-          token = retval2[1];
-          if (content !== null) {
-            content = content + token;
-          } else {
-            content = token;
-            content_line = token_line;
-          }
-          continue;
-        }
-        
-        // Skip instruction, DOCTYPE, and comment tokens
-        if (token.startsWith("<!") || token.startsWith("<?")) {
-          continue;
-        }
-        
-        // If this is a text token, then add it to the content buffer
-        // after applying entity escaping
-        if (!token.startsWith("<")) {
-          token = this._entEsc(token, token_line);
-          if (content !== null) {
-            content = content + token;
-          } else {
-            content = token;
-            content_line = token_line;
-          }
-          continue;
-        }
-        
-        // If we got here, then we're dealing with a regular tag token,
-        // so first of all flush the content buffer if filled
-        if (content !== null) {
-          this._procContent(content, content_line);
-          content = null;
-          content_line = null;
+    // Go through the events with a stack of open elements
+    const stack = [];
+    for(let i = 0; i < recs.length; i++) {
+      const rec = recs[i];
+      const top = (stack.length > 0) ? stack[stack.length - 1] : null;
+      
+      if (rec.type === 0) {
+        RX_BLANK.lastIndex = 0;
+        if (!RX_BLANK.test(rec.text)) {
+          top.keep = true;
+          top.full = true;
         }
         
-        // Now process the tag
-        this._procTag(token, token_line);
+      } else if (rec.type === -1) {
+        stack.pop();
         
-        // If buffer is no longer empty, leave loop
-        if (this._buf.length > 0) {
-          break;
+      } else {
+        if (top !== null) {
+          top.full = true;
         }
-      }
-      
-      // If content buffer is filled, flush it
-      if (content !== null) {
-        this._procContent(content, content_line);
-        content = null;
-        content_line = null;
-      }
-    }
-    
-    // If buffer is filled then grab the next event and set the result;
-    // else, clear the results, clear the current event, and verify that
-    // in finished state
-    let result = false;
-    if (this._buf.length > 0) {
-      result = true;
-      this._cur = this._buf.shift();
-    } else {
-      result = false;
-      this._cur = null;
-      if (this._tstate >= 0) {
-        if (this._tstate === 0) {
-          throw this._parseErr(-1, "Unclosed tags at end of XML");
-        } else {
-          throw this._parseErr(-1, "Missing root element");
+        if (rec.type === 1) {
+          rec.keep = (rec.space === "preserve");
+          rec.full = false;
+          stack.push(rec);
         }
       }
     }
-    
-    // Return result
-    return result;
-  };
+  }
   
   /*
-   * Determine the type of parsing event that is currently loaded.
+   * Reformat a LeafXML document with consistent indentation.
+   * 
+   * Each element whose content is only child elements, comments, and
+   * processing instructions is reindented, with each child on its own
+   * line.  Elements that contain any content text other than whitespace
+   * are written exactly as they are, including everything inside them,
+   * and so are elements that have xml:space set to "preserve".  The
+   * whitespace-only text between the children of a reindented element
+   * is replaced.  Content text is never wrapped.
+   * 
+   * The output therefore parses to the same events as the input, except
+   * for whitespace-only text in elements that were reindented, which
+   * the Parser drops when the skipBlank and honorSpace options are set.
+   * 
+   * The optional options object may have the following properties:
+   * 
+   *   indent - the number of spaces per indent level; defaults to 2
+   * 
+   *   tabs - if true, each indent level is a single tab, which counts
+   *   as indent columns when measuring line width; defaults to false
+   * 
+   *   width - the maximum line width used when deciding whether to wrap
+   *   attributes, or zero for no limit; defaults to 80
+   * 
+   *   wrapAttributes - "auto" to put each attribute of a starting tag
+   *   on its own line when the tag would be wider than the maximum line
+   *   width, "always" to do so whenever a tag has more than one
+   *   attribute, or "never"; defaults to "auto"
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available.
+   *   selfClose - if true, empty elements are written as empty tags;
+   *   if false, they are written as a starting and ending tag; defaults
+   *   to true
    * 
-   * The return value is 1 for a starting tag, 0 for content text, or -1
-   * for an ending tag.
+   * ParserFault is thrown if the input is not valid LeafXML.
+   * 
+   * Parameters:
+   * 
+   *   str - the LeafXML document as a string
+   * 
+   *   options - (optional) an object with formatting options
    * 
    * Return:
    * 
-   *   1 for starting tag, 0 for content text, -1 for ending tag
+   *   the formatted document
    */
-  Parser.prototype.eventType = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
+  function format(str, options) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
+    }
+    if ((options === undefined) || (options === null)) {
+      options = {};
+    }
+    if (typeof options !== "object") {
+      throw new Error();
     }
     
-    // Determine result
-    let result = null;
-    if (this._cur.length === 1) {
-      result = -1;
+    const tabs = (options.tabs === undefined) ? false : options.tabs;
+    if (typeof tabs !== "boolean") {
+      throw new Error("Invalid format option: tabs");
+    }
+    
+    const indent = (options.indent === undefined) ? 2 : options.indent;
+    if ((!isInteger(indent)) || (indent < 0)) {
+      throw new Error("Invalid format option: indent");
+    }
+    
+    const width = (options.width === undefined) ? 80 : options.width;
+    if ((!isInteger(width)) || (width < 0)) {
+      throw new Error("Invalid format option: width");
+    }
+    
+    const wmode = (options.wrapAttributes === undefined) ?
+                    "auto" : options.wrapAttributes;
+    if ((wmode !== "auto") && (wmode !== "always") &&
+        (wmode !== "never")) {
+      throw new Error("Invalid format option: wrapAttributes");
+    }
+    
+    const sclose = (options.selfClose === undefined) ?
+                    true : options.selfClose;
+    if (typeof sclose !== "boolean") {
+      throw new Error("Invalid format option: selfClose");
+    }
+    
+    // Parse the document
+    const doc = readRecords(str);
+    const recs = doc.recs;
+    
+    markContent(recs);
+    
+    // Write the events; depth is the current indent level, and raw is
+    // the nesting level within an element that is written as it is, or
+    // zero if not in such an element
+    const w = new Writer({
+      "declaration" : doc.decl,
+      "selfClose"   : sclose
+    });
+    const unit = tabs ? "\t" : " ".repeat(indent);
+    
+    const stack = [];
+    let depth = 0;
+    let raw = 0;
+    let first = true;
+    
+    for(let i = 0; i < recs.length; i++) {
+      const rec = recs[i];
       
-    } else if (this._cur.length === 2) {
-      result = 0;
+      // Copy everything within an element that is written as it is
+      if (raw > 0) {
+        if (rec.type === 1) {
+          raw++;
+        } else if (rec.type === -1) {
+          raw--;
+        }
+        w._record(rec, rec.decls, null);
+        continue;
+      }
       
-    } else if (this._cur.length === 5) {
-      result = 1;
+      // Drop whitespace between reindented children
+      if (rec.type === 0) {
+        continue;
+      }
       
-    } else {
-      throw new Error();
+      // Ending tags of reindented elements are only on their own line
+      // if the element has content
+      if (rec.type === -1) {
+        depth--;
+        if (stack.pop().full) {
+          w.text("\n" + unit.repeat(depth));
+        }
+        w.endElement();
+        continue;
+      }
+      
+      // Everything else starts on its own line
+      if (!first) {
+        w.text("\n" + unit.repeat(depth));
+      }
+      first = false;
+      
+      if (rec.type === 1) {
+        let wrap = null;
+        if (wmode !== "never") {
+          wrap = {
+            "col"    : depth * (tabs ? indent : unit.length),
+            "width"  : width,
+            "always" : (wmode === "always"),
+            "indent" : "\n" + unit.repeat(depth + 1)
+          };
+        }
+        w._record(rec, rec.decls, wrap);
+        
+        if (rec.keep) {
+          raw = 1;
+        } else {
+          stack.push(rec);
+          depth++;
+        }
+        
+      } else {
+        w._record(rec, null, null);
+      }
     }
     
-    return result;
-  };
+    // End with a line break
+    w.text("\n");
+    return w.finish();
+  }
   
   /*
-   * Determine the line number in the XML file where the current parsing
-   * event begins.
+   * Minify a LeafXML document by removing everything that does not
+   * affect its content.
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available.
+   * Comments are removed, and so are processing instructions unless the
+   * instructions option is set.  The XML declaration is removed.
+   * Whitespace-only text is removed from elements whose content is only
+   * child elements, comments, and processing instructions.  Elements
+   * that contain content text other than whitespace, and elements that
+   * have xml:space set to "preserve", keep all of their text, including
+   * within the elements inside them.
    * 
-   * The first line is line 1.
+   * Namespace declarations are removed if they repeat a mapping that is
+   * already in scope.  Other declarations are kept even if no name uses
+   * them, since prefixes may also appear in attribute values and text.
+   * Empty elements are written as empty tags, and text and attribute
+   * values use the shortest escaping.
    * 
-   * Return:
+   * The output parses to the same events as the input when both are
+   * parsed without comment and instruction events, except for the
+   * removed whitespace-only text, which the Parser drops when the
+   * skipBlank and honorSpace options are set.
    * 
-   *   the line number of the current event
-   */
-  Parser.prototype.lineNumber = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
-    }
-    
-    // Get line number
-    return this._cur[0];
-  };
-  
-  /*
-   * Determine the decoded content text of a content text event.
+   * The optional options object may have the following properties:
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available and eventType indicates 0 (content text).
+   *   instructions - if true, processing instructions are kept;
+   *   defaults to false
    * 
-   * The content text has already been decoded for entity escapes, and
-   * it has already been normalized both for line breaks and for Unicode
-   * NFC.
+   * ParserFault is thrown if the input is not valid LeafXML.
    * 
-   * Content text events only occur when they are enclosed in tags.  All
-   * whitespace is included in content text, and content text events are
-   * always concatenated so that there is a single span covering
-   * everything between tags, even across CDATA blocks.
+   * Parameters:
+   * 
+   *   str - the LeafXML document as a string
+   * 
+   *   options - (optional) an object with minifying options
    * 
    * Return:
    * 
-   *   the content text of the current event
+   *   the minified document
    */
-  Parser.prototype.contentText = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
+  function minify(str, options) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
     }
-    if (this._cur.length !== 2) {
-      throw new Error("Wrong event type");
+    if ((options === undefined) || (options === null)) {
+      options = {};
+    }
+    if (typeof options !== "object") {
+      throw new Error();
     }
     
-    // Get text
-    return this._cur[1];
-  };
+    const instr = (options.instructions === undefined) ?
+                    false : options.instructions;
+    if (typeof instr !== "boolean") {
+      throw new Error("Invalid minify option: instructions");
+    }
+    
+    // Parse the document
+    const doc = readRecords(str);
+    const recs = doc.recs;
+    
+    markContent(recs);
+    
+    // Write the events; keep is the number of open elements that keep
+    // all their text
+    const w = new Writer();
+    let keep = 0;
+    
+    for(let i = 0; i < recs.length; i++) {
+      const rec = recs[i];
+      
+      if (rec.type === 1) {
+        // Declare the namespaces again, which drops declarations that
+        // repeat what is already in scope; the others are kept even if
+        // no name uses them, since attribute values and text may refer
+        // to their prefixes, as in xsi:type
+        w._record(rec, rec.decls, null);
+        
+        if ((keep > 0) || rec.keep) {
+          keep++;
+        }
+        
+      } else if (rec.type === -1) {
+        w.endElement();
+        if (keep > 0) {
+          keep--;
+        }
+        
+      } else if (rec.type === 0) {
+        if (keep > 0) {
+          w.text(rec.text);
+        } else {
+          RX_BLANK.lastIndex = 0;
+          if (!RX_BLANK.test(rec.text)) {
+            w.text(rec.text);
+          }
+        }
+        
+      } else if ((rec.type === 3) && instr) {
+        w._record(rec, null, null);
+        
+      } else if (rec.type === 4) {
+        w._record(rec, null, null);
+      }
+    }
+    
+    return w.finish();
+  }
   
   /*
-   * Determine the element name of a starting element event.
-   * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available and eventType indicates 1 (starting element).
-   * 
-   * The element name is the local name and never includes any namespace
-   * prefix.  It has already been normalized to NFC.
-   * 
-   * Return:
+   * Canonicalizer
+   * =============
    * 
-   *   the element name in the current event
+   * The canonicalizer writes a whole LeafXML document in Canonical XML
+   * form, so that documents with the same content always give the same
+   * bytes, which can then be hashed or signed.
    */
-  Parser.prototype.elementName = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
-    }
-    if (this._cur.length !== 5) {
-      throw new Error("Wrong event type");
-    }
-    
-    // Query
-    return this._cur[1];
-  };
   
   /*
-   * Determine the element namespace value of a starting element event.
+   * Compare two strings by Unicode codepoint order, as required for
+   * sorting in Canonical XML.
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available and eventType indicates 1 (starting element).
+   * This differs from comparing the strings with the < operator, which
+   * compares UTF-16 code units, when supplementary codepoints are
+   * compared to codepoints in range U+E000 to U+FFFF.
    * 
-   * The namespace value is usually the namespace URI.  null is returned
-   * if this element is not in any namespace.
+   * Parameters:
+   * 
+   *   a - the first string
+   * 
+   *   b - the second string
    * 
    * Return:
    * 
-   *   the namespace value (URI) of the element or null if no namespace
+   *   less than zero if a sorts before b, greater than zero if a sorts
+   *   after b, or zero if the strings are equal
    */
-  Parser.prototype.elementNS = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
+  function compareCodepoints(a, b) {
+    // Check parameters
+    if ((typeof a !== "string") || (typeof b !== "string")) {
+      throw new Error();
     }
-    if (this._cur.length !== 5) {
-      throw new Error("Wrong event type");
+    
+    // Compare the codepoints in order
+    let i = 0;
+    while ((i < a.length) && (i < b.length)) {
+      const ca = a.codePointAt(i);
+      const cb = b.codePointAt(i);
+      if (ca !== cb) {
+        return (ca < cb) ? -1 : 1;
+      }
+      i += (ca > 0xffff) ? 2 : 1;
     }
     
-    // Query
-    return this._cur[2];
-  };
+    // If one string is a prefix of the other, the shorter one is first
+    return a.length - b.length;
+  }
   
   /*
-   * Return the plain attribute map as an object mapping attribute names
-   * to attribute values.
+   * Escape a string for Canonical XML.
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available and eventType indicates 1 (starting element).
+   * If attr is false, the string is escaped as content text.  If attr
+   * is true, the string is escaped as a double-quoted attribute value,
+   * which also escapes the double quote and the whitespace codepoints
+   * other than space, but does not escape >.
    * 
-   * The returned object has the attribute names as keys and their
-   * values as values.  Normalization and entity decoding has already
-   * been performed.
+   * Parameters:
    * 
-   * Only attribute names that are not in any namespace are included.
-   * The special "xmlns" attribute is excluded.
+   *   str - the string to escape
    * 
-   * The returned object is the parser's copy, so clients should not
-   * modify it.
+   *   attr - true for an attribute value, false for content text
    * 
    * Return:
    * 
-   *   object mapping plain attribute names to their values
+   *   the escaped string
    */
-  Parser.prototype.attr = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
+  function c14nEscape(str, attr) {
+    // Check parameters
+    if ((typeof str !== "string") || (typeof attr !== "boolean")) {
+      throw new Error();
     }
-    if (this._cur.length !== 5) {
-      throw new Error("Wrong event type");
+    
+    // Perform ampersand replacement first
+    str = str.replaceAll("&", "&amp;");
+    str = str.replaceAll("<", "&lt;");
+    
+    if (attr) {
+      str = str.replaceAll("\"", "&quot;");
+      str = str.replaceAll("\t", "&#x9;");
+      str = str.replaceAll("\n", "&#xA;");
+    } else {
+      str = str.replaceAll(">", "&gt;");
     }
+    str = str.replaceAll("\r", "&#xD;");
     
-    // Query
-    return this._cur[3];
-  };
+    return str;
+  }
   
   /*
-   * Return the namespaced attribute map.
+   * Write a LeafXML document in Canonical XML form.
+   * 
+   * The method option selects Exclusive XML Canonicalization 1.0 or
+   * Canonical XML 1.1.  The two only differ in which namespace
+   * declarations are written.  The inclusive method writes on each
+   * element every namespace that is in scope and was not already
+   * written with the same value on an ancestor.  The exclusive method
+   * only writes the namespaces that the element or its attributes use,
+   * along with the namespaces whose prefixes are listed in the
+   * inclusivePrefixes option.
+   * 
+   * The whole document is always canonicalized, so the special rules
+   * that Canonical XML 1.1 has for document subsets do not apply.  The
+   * XML declaration and the DOCTYPE declaration are dropped, empty
+   * elements are written with starting and ending tags, namespace
+   * declarations are sorted by prefix, and attributes are sorted by
+   * namespace value and then by local name.  Prefixes are kept as they
+   * are in the input.
+   * 
+   * The Parser is used in its internal exact mode, so attribute
+   * values, text, comments, and instruction data are kept as XML
+   * defines them, with escaped whitespace in attribute values and
+   * escaped carriage returns kept and no NFC normalization.  Names are
+   * still NFC normalized.
+   * 
+   * The optional options object may have the following properties:
+   * 
+   *   method - "exclusive" for Exclusive XML Canonicalization 1.0, or
+   *   "inclusive" for Canonical XML 1.1; defaults to "exclusive"
+   * 
+   *   comments - if true, comments are kept, which is the "with
+   *   comments" variant of each method; defaults to false
+   * 
+   *   inclusivePrefixes - for the exclusive method, an array of
+   *   prefixes that are treated as in the inclusive method, with
+   *   "#default" for the default namespace; defaults to an empty array
+   * 
+   * The return value is the canonical form in UTF-8, in the same
+   * format as writeFullText().  ParserFault is thrown if the input is
+   * not valid LeafXML.
    * 
-   * This function may only be used after readEvent() has indicated that
-   * an event is available and eventType indicates 1 (starting element).
+   * Parameters:
    * 
-   * The object maps namespace values to object values that hold a
-   * mapping of attribute names to attribute values within that
-   * namepsace.
+   *   str - the LeafXML document as a string
    * 
-   * Attributes with "xmlns:" prefixes are not included in this mapping.
-   *
-   * The returned object is the parser's copy, so clients should not
-   * modify it.
+   *   options - (optional) an object with canonicalization options
    * 
    * Return:
    * 
-   *   two-level object mapping representing namespaced attributes
+   *   a Uint8Array with the canonical form
    */
-  Parser.prototype.externalAttr = function() {
-    // Check state
-    if (this._cur === null) {
-      throw new Error("No event loaded");
+  function canonicalize(str, options) {
+    // Check parameters
+    if (typeof str !== "string") {
+      throw new Error();
     }
-    if (this._cur.length !== 5) {
-      throw new Error("Wrong event type");
+    if ((options === undefined) || (options === null)) {
+      options = {};
+    }
+    if (typeof options !== "object") {
+      throw new Error();
     }
     
-    // Query
-    return this._cur[4];
-  };
+    const method = (options.method === undefined) ?
+                    "exclusive" : options.method;
+    if ((method !== "exclusive") && (method !== "inclusive")) {
+      throw new Error("Invalid canonicalize option: method");
+    }
+    
+    const comments = (options.comments === undefined) ?
+                      false : options.comments;
+    if (typeof comments !== "boolean") {
+      throw new Error("Invalid canonicalize option: comments");
+    }
+    
+    const incl = [];
+    if ((options.inclusivePrefixes !== undefined) &&
+        (options.inclusivePrefixes !== null)) {
+      if (!Array.isArray(options.inclusivePrefixes)) {
+        throw new Error(
+          "Invalid canonicalize option: inclusivePrefixes");
+      }
+      for(let i = 0; i < options.inclusivePrefixes.length; i++) {
+        const pfx = options.inclusivePrefixes[i];
+        if (typeof pfx !== "string") {
+          throw new Error(
+            "Invalid canonicalize option: inclusivePrefixes");
+        }
+        incl.push((pfx === "#default") ? "" : pfx);
+      }
+    }
+    
+    // Read the events with the original prefixes
+    const xml = new Parser(str, {
+      "comments"     : comments,
+      "instructions" : true,
+      "preserve"     : true,
+      [EXACT_MODE]   : true
+    });
+    
+    // out collects the output; state is 1 before the root element, 0
+    // within it, and -1 after it; qstack holds the qualified names of
+    // the open elements; rstack holds, for each open element, the
+    // namespaces that were written on it and its ancestors
+    const out = [];
+    let state = 1;
+    const qstack = [];
+    const rstack = [{}];
+    
+    while (xml.readEvent()) {
+      const ev = xml._cur;
+      
+      if (ev.type === 1) {
+        const scope = ev.nsm;
+        const done = rstack[rstack.length - 1];
+        
+        // Determine which prefixes might need to be written
+        let cands = [];
+        if (method === "inclusive") {
+          cands = Object.keys(scope);
+        } else {
+          cands = incl.slice();
+          cands.push((ev.pfx !== null) ? ev.pfx : "");
+          for(let i = 0; i < ev.alist.length; i++) {
+            if (ev.alist[i].prefix !== null) {
+              cands.push(ev.alist[i].prefix);
+            }
+          }
+        }
+        
+        // Write the namespaces that have not been written yet with the
+        // same value
+        const next = Object.assign({}, done);
+        const nlist = [];
+        for(let i = 0; i < cands.length; i++) {
+          const pfx = cands[i];
+          if ((pfx === "xml") || (pfx === "xmlns") ||
+              (!Object.prototype.hasOwnProperty.call(scope, pfx)) ||
+              (next[pfx] === scope[pfx])) {
+            continue;
+          }
+          next[pfx] = scope[pfx];
+          nlist.push(pfx);
+        }
+        nlist.sort(compareCodepoints);
+        
+        let tag = "<" + ev.qname;
+        for(let i = 0; i < nlist.length; i++) {
+          const dname = (nlist[i].length > 0) ?
+                          ("xmlns:" + nlist[i]) : "xmlns";
+          tag = tag + " " + dname + "=\"" +
+                  c14nEscape(next[nlist[i]], true) + "\"";
+        }
+        
+        // Write the attributes other than namespace declarations,
+        // sorted by namespace value and then by local name
+        const alist = [];
+        for(let i = 0; i < ev.alist.length; i++) {
+          const a = ev.alist[i];
+          if (a.ns === "http://www.w3.org/2000/xmlns/") {
+            continue;
+          }
+          alist.push({
+            "qname": a.qname,
+            "ns"   : (a.ns !== null) ? a.ns : "",
+            "local": splitName(a.qname)[1],
+            "value": a.value
+          });
+        }
+        alist.sort(function(a, b) {
+          const c = compareCodepoints(a.ns, b.ns);
+          return (c !== 0) ? c : compareCodepoints(a.local, b.local);
+        });
+        
+        for(let i = 0; i < alist.length; i++) {
+          tag = tag + " " + alist[i].qname + "=\"" +
+                  c14nEscape(alist[i].value, true) + "\"";
+        }
+        
+        out.push(tag + ">");
+        qstack.push(ev.qname);
+        rstack.push(next);
+        state = 0;
+        
+      } else if (ev.type === -1) {
+        out.push("</" + qstack.pop() + ">");
+        rstack.pop();
+        if (qstack.length < 1) {
+          state = -1;
+        }
+        
+      } else if (ev.type === 0) {
+        out.push(c14nEscape(ev.text, false));
+        
+      } else {
+        // Comments and instructions outside the root element are
+        // separated from it by line breaks
+        let mstr = null;
+        if (ev.type === 2) {
+          mstr = "<!--" + ev.text + "-->";
+        } else if (ev.data.length > 0) {
+          mstr = "<?" + ev.target + " " + ev.data + "?>";
+        } else {
+          mstr = "<?" + ev.target + "?>";
+        }
+        
+        if (state > 0) {
+          out.push(mstr + "\n");
+        } else if (state < 0) {
+          out.push("\n" + mstr);
+        } else {
+          out.push(mstr);
+        }
+      }
+    }
+    
+    // Encode the result
+    return writeFullText(out.join(""));
+  }
   
   /*
    * Exports
@@ -2577,17 +8907,24 @@ window.LeafXML = (function() {
    */
   
   return {
-    "isInteger"     : isInteger,
-    "validCode"     : validCode,
-    "validString"   : validString,
-    "validName"     : validName,
-    "readFullText"  : readFullText,
-    "writeFullText" : writeFullText,
-    "toText64"      : toText64,
-    "fromText64"    : fromText64,
-    "escapeText"    : escapeText,
-    "ParserFault"   : ParserFault,
-    "Parser"        : Parser
+    "isInteger"      : isInteger,
+    "validCode"      : validCode,
+    "validString"    : validString,
+    "validName"      : validName,
+    "readFullText"   : readFullText,
+    "detectEncoding" : detectEncoding,
+    "writeFullText"  : writeFullText,
+    "toText64"       : toText64,
+    "fromText64"     : fromText64,
+    "escapeText"     : escapeText,
+    "ParserFault"    : ParserFault,
+    "Parser"         : Parser,
+    "events"         : events,
+    "tokens"         : tokens,
+    "Writer"         : Writer,
+    "format"         : format,
+    "minify"         : minify,
+    "canonicalize"   : canonicalize
   };
   
 }());
@@ -5,6 +5,8 @@ use warnings;
 use Carp;
 use Unicode::Normalize;
 
+use LeafXML::ParserFault;
+
 use LeafXML::Util qw(
   isInteger
   validCode
@@ -294,28 +296,43 @@ sub create {
 # Local instance functions
 # ========================
 
-# _parseErr(lnum, detail)
-# -----------------------
+# _parseErr(lnum, code, detail, [expected, actual])
+# -------------------------------------------------
 #
-# Return a string with a formatted parsing error message.
+# Return a LeafXML::ParserFault object for a parsing error.
 #
 # lnum is the line number, or any integer value less than one if no line
-# number available.  detail is the actual error message.
+# number available.  code is the machine-readable error code.  detail is
+# the actual error message.
+#
+# expected and actual may only be given for tag pairing errors.  They
+# are the expected and actual element names, either of which may be
+# undef.
 #
-# This function does not raise the error itself.
+# This function does not raise the error itself.  The returned object
+# stringifies to the formatted error message.
 #
 sub _parseErr {
   # Get self and parameters
-  ($#_ == 2) or die "Bad call";
+  (($#_ == 3) or ($#_ == 5)) or die "Bad call";
   my $self = shift;
   (ref($self) and $self->isa(__PACKAGE__)) or die "Bad self";
   
   my $lnum = shift;
   isInteger($lnum) or die "Bad call";
   
+  my $code = shift;
+  (not ref($code)) or die "Bad call";
+  
   my $detail = shift;
   (not ref($detail)) or die "Bad call";
   
+  my $expected = shift;
+  (not ref($expected)) or die "Bad call";
+  
+  my $actual = shift;
+  (not ref($actual)) or die "Bad call";
+  
   # Form message
   my $msg = '[XML file';
   
@@ -329,8 +346,15 @@ sub _parseErr {
   
   $msg = $msg . "] $detail";
   
-  # Return message
-  return $msg;
+  # Return error object
+  return LeafXML::ParserFault->create($msg, {
+    'code'       => $code,
+    'sourceName' => $self->{'_sname'},
+    'line'       => (($lnum >= 1) ? $lnum : undef),
+    'detail'     => $detail,
+    'expected'   => $expected,
+    'actual'     => $actual
+  });
 }
 
 # _readToken()
@@ -402,7 +426,7 @@ sub _readToken {
     
     (?:
       \x{3c}!\x{5b}CDATA\x{5b}
-      (?:[^\x{5d}]|\x{5d}[^\x{5d}]|\x{5d}\x{5d}+[^\x{3e}])*
+      (?:[^\x{5d}]|\x{5d}[^\x{5d}]|\x{5d}\x{5d}+[^\x{5d}\x{3e}])*
       \x{5d}+\x{5d}\x{3e}
     ) |
     
@@ -451,9 +475,21 @@ sub _readToken {
     return (undef, undef);
   }
   
-  # Check for parsing error
+  # Check for parsing error, distinguishing DOCTYPE declarations that
+  # failed because they have an internal DTD subset
   if ($token eq '<') {
-    die $self->_parseErr($self->{'_lnum'}, "XML tokenization failed");
+    my $sr = $self->{'_str'};
+    pos($$sr) = pos($$sr) - 1;
+    if ($$sr =~ /\G
+          \x{3c}!DOCTYPE
+          (?:[^\x{3e}'"\x{5b}\x{5d}]+|'[^']*'|"[^"]*")*
+          \x{5b}
+        /gcx) {
+      die $self->_parseErr($self->{'_lnum'}, "DTD_REJECTED",
+        "DOCTYPE internal subsets are not supported");
+    }
+    die $self->_parseErr($self->{'_lnum'}, "TOKENIZATION",
+      "XML tokenization failed");
   }
   
   # Token line number is whatever the line number was before parsing the
@@ -475,7 +511,7 @@ sub _readToken {
     }
     (defined $cv) or die;
     
-    die $self->_parseErr($token_line, 
+    die $self->_parseErr($token_line, "INVALID_CODEPOINT",
       sprintf("Invalid Unicode codepoint U+%04x", $cv));
   }
   
@@ -569,7 +605,7 @@ sub _entEsc {
     
     # Check for invalid ampersand
     if ($token eq '&') {
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "STRAY_AMPERSAND",
             "Ampersand must be part of entity escape");
     }
     
@@ -604,7 +640,7 @@ sub _entEsc {
         $result = $result . '"';
         
       } else {
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "UNKNOWN_ENTITY",
               "Unrecognized named entity '$token'");
       }
       
@@ -612,7 +648,7 @@ sub _entEsc {
       # Decimal escape
       my $cv = int($1);
       validCode($cv) or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "ESCAPED_CODEPOINT",
               "Escaped codepoint out of range for '$token'");
       $result = $result . chr($cv);
       
@@ -620,12 +656,12 @@ sub _entEsc {
       # Base-16 escape
       my $cv = hex($1);
       validCode($cv) or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "ESCAPED_CODEPOINT",
               "Escaped codepoint out of range for '$token'");
       $result = $result . chr($cv);
       
     } else {
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "INVALID_ESCAPE",
           "Invalid entity escape '$token'");
     }
   }
@@ -717,7 +753,7 @@ sub _parseAttr {
     
     # If part is single codepoint then there is a parsing error
     if (length($part) <= 1) {
-      die $self->_parseErr($part_line,
+      die $self->_parseErr($part_line, "ATTRIBUTE_SYNTAX",
         "Failed to parse tag attributes");
     }
     
@@ -756,18 +792,19 @@ sub _parseAttr {
       $att_val_line  = $att_name_line + scalar(@apl3);
       
     } else {
-      die $self->_parseErr($lnum, "Failed to parse tag attributes");
+      die $self->_parseErr($lnum, "ATTRIBUTE_SYNTAX",
+        "Failed to parse tag attributes");
     }
     
     # Normalize attribute name and verify valid
     $att_name = NFC($att_name);
     validName($att_name) or
-      die $self->_parseErr($att_name_line,
+      die $self->_parseErr($att_name_line, "INVALID_NAME",
         "Invalid attribute name '$att_name'");
     
     # Make sure attribute value does not have the disallowed <
     (not ($att_val =~ /\x{3c}/)) or
-      die $self->_parseErr($att_val_line,
+      die $self->_parseErr($att_val_line, "UNESCAPED_LT",
         "Attribute value contains unescaped <");
     
     # Entity-escape, whitespace-compress, and NFC normalize the
@@ -777,7 +814,7 @@ sub _parseAttr {
     
     # Make sure attribute not defined yet
     (not (defined $attr{$att_name})) or
-      die $self->_parseErr($att_name_line,
+      die $self->_parseErr($att_name_line, "DUPLICATE_ATTRIBUTE",
         "Attribute '$att_name' defined multiple times");
     
     # Store the attribute
@@ -829,7 +866,7 @@ sub _parseTag {
         (\x{2f})?
         \x{3e}$
       /xs)
-    or die $self->_parseErr($lnum, "Failed to parse tag");
+    or die $self->_parseErr($lnum, "TAG_SYNTAX", "Failed to parse tag");
   
   my $start_slash = $1;
   my $ename       = $2;
@@ -848,13 +885,14 @@ sub _parseTag {
     $etype = 0;
     
   } else {
-    die $self->_parseErr($lnum, "Failed to parse tag");
+    die $self->_parseErr($lnum, "TAG_SYNTAX", "Failed to parse tag");
   }
   
   # Normalize element name and validate it
   $ename = NFC($ename);
   validName($ename) or
-    die $self->_parseErr($lnum, "Invalid tag name '$ename'");
+    die $self->_parseErr($lnum, "INVALID_NAME",
+      "Invalid tag name '$ename'");
   
   # Parse attributes
   my $attr = $self->_parseAttr($pstr, $lnum);
@@ -862,7 +900,7 @@ sub _parseTag {
   # If closing tag, make sure no attributes
   if ($etype < 0) {
     (scalar(%$attr) < 1) or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "END_TAG_ATTRIBUTES",
         "Closing tags may not have attributes");
   }
   
@@ -924,34 +962,34 @@ sub _updateNS {
     # Get value of this namespace target and make sure not empty
     my $ns_val = $attr->{$k};
     (length($ns_val) > 0) or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "NAMESPACE_EMPTY",
         "Can't map $target_label to empty value");
     
     # Make sure not mapping the xmlns prefix
     ($target_pfx ne 'xmlns') or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "NAMESPACE_RESERVED",
         "Can't namespace map the xmlns prefix");
     
     # Make sure not mapping to reserved xmlns namespace
     ($ns_val ne 'http://www.w3.org/2000/xmlns/') or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "NAMESPACE_RESERVED",
         "Can't map $target_label to reserved xmlns value");
     
     # If target prefix is "xml" make sure mapping to proper namespace;
     # otherwise, make sure not mapping to XML namespace
     if ($target_pfx eq 'xml') {
       ($ns_val eq 'http://www.w3.org/XML/1998/namespace') or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "NAMESPACE_RESERVED",
           "Can only map $target_label to reserved xml value");
     } else {
       ($ns_val ne 'http://www.w3.org/XML/1998/namespace') or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "NAMESPACE_RESERVED",
           "Can't map $target_label to reserved xml value");
     }
     
     # Make sure this mapping not yet defined on this element
     (not (defined $new_ns{$target_pfx})) or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "NAMESPACE_REDEFINED",
         "Redefinition of $target_label on same element");
     
     # Add to new mappings
@@ -1042,7 +1080,7 @@ sub _extAttr {
       # Get namespace value for prefix
       my $a_ns = $self->{'_nstack'}->[-1]->{$k_pfx};
       (defined $a_ns) or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "UNMAPPED_PREFIX",
           "Unmapped namespace prefix '$k_pfx'");
       
       # Add new namespace entry if not yet defined
@@ -1052,7 +1090,7 @@ sub _extAttr {
       
       # Make sure local attribute not yet defined
       (not defined $result{$a_ns}->{$k_local}) or
-        die $self->_parseErr($lnum,
+        die $self->_parseErr($lnum, "ALIASED_ATTRIBUTE",
           "Aliased external attribute '$k'");
       
       # Add namespaced attribute
@@ -1093,7 +1131,8 @@ sub _procTag {
   # state to active
   if ($etype >= 0) {
     ($self->{'_tstate'} >= 0) or
-      die $self->_parseErr($lnum, "Multiple root elements");
+      die $self->_parseErr($lnum, "MULTIPLE_ROOTS",
+        "Multiple root elements");
     
     push @{$self->{'_tstack'}}, ($ename);
     $self->{'_tstate'} = 0;
@@ -1105,10 +1144,12 @@ sub _procTag {
   # finished state if tag stack now empty
   if ($etype <= 0) {
     ($self->{'_tstate'} == 0) or
-      die $self->_parseErr($lnum, "Tag pairing error");
+      die $self->_parseErr($lnum, "TAG_PAIRING", "Tag pairing error",
+                            undef, $ename);
     
     ($self->{'_tstack'}->[-1] eq $ename) or
-      die $self->_parseErr($lnum, "Tag pairing error");
+      die $self->_parseErr($lnum, "TAG_PAIRING", "Tag pairing error",
+                            $self->{'_tstack'}->[-1], $ename);
     
     pop @{$self->{'_tstack'}};
     if (scalar(@{$self->{'_tstack'}}) < 1) {
@@ -1128,7 +1169,7 @@ sub _procTag {
   if (defined $e_pfx) {
     $e_ns = $self->{'_nstack'}->[-1]->{$e_pfx};
     (defined $e_ns) or
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "UNMAPPED_PREFIX",
         "Unmapped namespace prefix '$e_pfx'");
   }
   
@@ -1225,7 +1266,7 @@ sub _procContent {
           last;
         } 
       }
-      die $self->_parseErr($lnum,
+      die $self->_parseErr($lnum, "STRAY_CONTENT",
         "Text content not allowed outside root element");
     }
     return;
@@ -1295,8 +1336,10 @@ This must be called before reading the first parsing event.  In other
 words, the first parsing event is not immediately available after parser
 construction.
 
-Throws errors in case of parsing problems.  Undefined behavior occurs if
-you catch an error and then try to continue parsing.
+Throws C<LeafXML::ParserFault> objects in case of parsing problems.
+These stringify to the error message and also provide a machine-readable
+error code.  Undefined behavior occurs if you catch an error and then try
+to continue parsing.
 
 =cut
 
@@ -1321,8 +1364,9 @@ sub readEvent {
       if ($token =~ /^
       
             \x{3c}!\x{5b}CDATA\x{5b}
-            ((?:[^\x{5d}]|\x{5d}[^\x{5d}]|\x{5d}\x{5d}+[^\x{3e}])*)
-            \x{5d}+\x{5d}\x{3e}
+            ((?:[^\x{5d}]|\x{5d}[^\x{5d}]|\x{5d}\x{5d}+[^\x{5d}\x{3e}])*
+              \x{5d}*)
+            \x{5d}\x{5d}\x{3e}
           
           $/x) {
         $token = $1;
@@ -1390,9 +1434,12 @@ sub readEvent {
     $self->{'_cur'} = undef;
     if ($self->{'_tstate'} >= 0) {
       if ($self->{'_tstate'} == 0) {
-        die $self->_parseErr(-1, "Unclosed tags at end of XML");
+        die $self->_parseErr(-1, "UNCLOSED_TAGS",
+          "Unclosed tags at end of XML",
+          $self->{'_tstack'}->[-1], undef);
       } else {
-        die $self->_parseErr(-1, "Missing root element");
+        die $self->_parseErr(-1, "MISSING_ROOT",
+          "Missing root element");
       }
     }
   }
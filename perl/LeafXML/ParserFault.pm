@@ -0,0 +1,250 @@
+package LeafXML::ParserFault;
+use v5.16;
+use warnings;
+
+use Carp;
+
+use overload
+  '""'     => sub { $_[0]->{'_msg'} },
+  'bool'   => sub { 1 },
+  fallback => 1;
+
+=head1 NAME
+
+LeafXML::ParserFault - Parsing error object for LeafXML.
+
+=head1 SYNOPSIS
+
+  use LeafXML::Parser;
+  use Scalar::Util qw(blessed);
+  
+  # Catch parsing errors
+  eval {
+    while ($xml->readEvent) {
+      ...
+    }
+  };
+  if ($@) {
+    my $err = $@;
+    if (blessed($err) and $err->isa('LeafXML::ParserFault')) {
+      # Structured information about the parsing error
+      my $code     = $err->code;
+      my $sname    = $err->sourceName;
+      my $lnum     = $err->line;
+      my $detail   = $err->detail;
+      my $expected = $err->expected;
+      my $actual   = $err->actual;
+  
+      # Full formatted error message
+      my $msg = "$err";
+      ...
+    }
+  }
+
+=head1 DESCRIPTION
+
+Parsing errors raised by C<LeafXML::Parser> are instances of this class.
+This allows clients to distinguish between parsing errors and all other
+kinds of errors, and to get structured information about the error
+without having to parse the error message.
+
+Instances stringify to the full formatted error message, so they work
+the same way as plain string errors when printed.
+
+The error codes are the same as those used by the JavaScript
+implementation.  See the API documentation for the full list of error
+codes.
+
+=head1 CONSTRUCTORS
+
+=over 4
+
+=item B<create(message, [\%info])>
+
+Construct a new parsing error object.
+
+The message is the full formatted error message.  The optional info
+parameter is a hash reference that may contain any of the keys C<code>,
+C<sourceName>, C<line>, C<detail>, C<expected>, and C<actual>.  Missing
+keys are set to undef, except that C<detail> defaults to the message.
+
+=cut
+
+sub create {
+  # Get parameters
+  (($#_ == 1) or ($#_ == 2)) or croak("Bad call");
+  shift;
+  
+  my $msg = shift;
+  (defined $msg and (not ref($msg))) or croak("Bad parameter type");
+  
+  my $info = { };
+  if ($#_ == 0) {
+    $info = shift;
+    (ref($info) eq 'HASH') or croak("Bad parameter type");
+  }
+  
+  # Create new object
+  my $self = { };
+  bless($self);
+  
+  # '_msg' is the full formatted error message
+  $self->{'_msg'} = $msg;
+  
+  # '_code' is the error code, or undef
+  $self->{'_code'} = $info->{'code'};
+  
+  # '_sname' is the data source name, or undef
+  $self->{'_sname'} = $info->{'sourceName'};
+  
+  # '_lnum' is the line number, or undef
+  $self->{'_lnum'} = $info->{'line'};
+  
+  # '_detail' is the error message without source name and line
+  if (defined $info->{'detail'}) {
+    $self->{'_detail'} = $info->{'detail'};
+  } else {
+    $self->{'_detail'} = $msg;
+  }
+  
+  # '_expected' and '_actual' are the element names for tag pairing
+  # errors, or undef
+  $self->{'_expected'} = $info->{'expected'};
+  $self->{'_actual'} = $info->{'actual'};
+  
+  # Return new object
+  return $self;
+}
+
+=back
+
+=head1 PUBLIC INSTANCE FUNCTIONS
+
+=over 4
+
+=item B<message()>
+
+Return the full formatted error message, which includes the source name
+and line number if available.  This is the same as the string value of
+the object.
+
+=cut
+
+sub message {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_msg'};
+}
+
+=item B<code()>
+
+Return the machine-readable error code, such as C<TAG_PAIRING>, or
+undef if there is no error code.
+
+=cut
+
+sub code {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_code'};
+}
+
+=item B<sourceName()>
+
+Return the data source name that was set on the parser, or undef if
+there was none.
+
+=cut
+
+sub sourceName {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_sname'};
+}
+
+=item B<line()>
+
+Return the line number where the error was detected, or undef if no
+line number is available.  The first line is line 1.
+
+=cut
+
+sub line {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_lnum'};
+}
+
+=item B<detail()>
+
+Return the error message without the source name and line number.
+
+=cut
+
+sub detail {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_detail'};
+}
+
+=item B<expected()>
+
+For C<TAG_PAIRING> and C<UNCLOSED_TAGS> errors, return the element name
+that was expected to be closed, or undef if there was none.  Always
+undef for other errors.
+
+Element names are given exactly as they appear in the XML, including
+any namespace prefix.
+
+=cut
+
+sub expected {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_expected'};
+}
+
+=item B<actual()>
+
+For C<TAG_PAIRING> errors, return the element name that was actually
+closed.  Always undef for other errors.
+
+Element names are given exactly as they appear in the XML, including
+any namespace prefix.
+
+=cut
+
+sub actual {
+  # Get self and parameters
+  ($#_ == 0) or croak("Bad call");
+  my $self = shift;
+  (ref($self) and $self->isa(__PACKAGE__)) or croak("Bad self");
+  
+  return $self->{'_actual'};
+}
+
+=back
+
+=cut
+
+# End with something that evaluates to true
+#
+1;